@@ -4,6 +4,10 @@
 // Complete MongoDB implementation with nested variants
 // Single file for easy deployment and understanding
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const express = require('express');
 const mongoose = require('mongoose');
 
@@ -12,8 +16,37 @@ const mongoose = require('mongoose');
 // ====================================
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Must point at a replica set: orders, reservations and stock writes run in transactions
+// (a single-node replica set is enough for local development)
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerceCatalogDB';
 
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY'];
+// Exchange rates are stored as units of each currency per 1 BASE_CURRENCY
+const BASE_CURRENCY = 'USD';
+// Minor-unit digits used when rounding converted prices
+const CURRENCY_DECIMALS = { USD: 2, EUR: 2, GBP: 2, INR: 2, JPY: 0 };
+
+// Stock reservations (cart holds)
+const RESERVATION_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS, 10) || 15 * 60;
+const MAX_RESERVATION_TTL_SECONDS = 24 * 60 * 60;
+// Finished reservations are kept this long before the TTL index removes them
+const RESERVATION_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const RESERVATION_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Outbound webhooks
+const WEBHOOK_MAX_ATTEMPTS = 8;
+// Retries wait 30s, 1m, 2m, 4m, ... after each failed attempt
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_DISPATCH_INTERVAL_MS = 15 * 1000;
+
+// Authentication: HS256 JWTs signed with JWT_SECRET, or API keys issued through
+// /api/auth/api-keys. ADMIN_API_KEY grants admin access before any key exists.
+const JWT_SECRET = process.env.JWT_SECRET;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const ROLES = ['admin', 'inventory', 'customer'];
+const STAFF_ROLES = ['admin', 'inventory'];
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -22,29 +55,31 @@ app.use(express.urlencoded({ extended: true }));
 // NESTED SCHEMAS - Product Model
 // ====================================
 
-// Review Schema (Nested)
-const reviewSchema = new mongoose.Schema({
-  username: {
+// Stock of a variant at one location (Nested)
+const inventoryLevelSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  // Copied from the location so listings can filter by code
+  code: {
     type: String,
     required: true,
-    trim: true
+    trim: true,
+    uppercase: true
   },
-  rating: {
+  stock: {
     type: Number,
-    required: true,
-    min: 1,
-    max: 5
-  },
-  comment: {
-    type: String,
-    trim: true,
-    maxlength: 500
+    min: [0, 'Stock cannot be negative'],
+    default: 0
   },
-  date: {
-    type: Date,
-    default: Date.now
+  // Copied from the location: stock at inactive locations is kept but can't be sold
+  active: {
+    type: Boolean,
+    default: true
   }
-}, { _id: true });
+}, { _id: false });
 
 // Variant Schema (Nested)
 const variantSchema = new mongoose.Schema({
@@ -53,25 +88,43 @@ const variantSchema = new mongoose.Schema({
     required: [true, 'Variant color is required'],
     trim: true
   },
+  // Sizes differ by category, so allowed values come from the category's attribute definitions
   size: {
     type: String,
-    required: [true, 'Variant size is required'],
-    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size', 'Custom'],
     trim: true
   },
+  // Total across locations, kept equal to the sum of `inventory`
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  inventory: [inventoryLevelSchema],
+  // Units held by active reservations; still counted in stock until committed
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved quantity cannot be negative'],
+    default: 0
+  },
+  // Unique across the catalog through the 'variants.sku' index on productSchema
   sku: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     uppercase: true
   },
+  // Purchasing is alerted when stock falls to or below this level
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative'],
+    default: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    min: [0, 'Reorder quantity cannot be negative'],
+    default: 0
+  },
   additionalPrice: {
     type: Number,
     default: 0,
@@ -88,8 +141,33 @@ const variantSchema = new mongoose.Schema({
       enum: ['g', 'kg', 'lb', 'oz'],
       default: 'kg'
     }
+  },
+  // Category-specific attributes such as storage or ram, checked against the category's definitions
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
   }
-}, { _id: true });
+}, {
+  _id: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual: Price of this variant (product base price plus the variant surcharge)
+variantSchema.virtual('finalPrice').get(function() {
+  const product = this.ownerDocument();
+  if (!product || product === this) return undefined;
+  return product.basePrice + this.additionalPrice;
+});
+
+// Stock of a variant (document or plain object) held at inactive locations, which can't be sold
+const unsellableStock = (variant) =>
+  (variant.inventory || []).reduce((acc, level) => acc + (level.active === false ? level.stock : 0), 0);
+
+// Virtual: Units that can still be sold or reserved
+variantSchema.virtual('available').get(function() {
+  return Math.max(this.stock - unsellableStock(this) - (this.reserved || 0), 0);
+});
 
 // Specifications Schema (Nested)
 const specificationSchema = new mongoose.Schema({
@@ -109,6 +187,19 @@ const specificationSchema = new mongoose.Schema({
   countryOfOrigin: String
 }, { _id: false });
 
+// SKUs appearing more than once in a list of variants
+const findDuplicateSkus = (variants) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const variant of variants || []) {
+    const sku = String(variant.sku || '').trim().toUpperCase();
+    if (!sku) continue;
+    if (seen.has(sku)) duplicates.add(sku);
+    seen.add(sku);
+  }
+  return [...duplicates];
+};
+
 // Main Product Schema with Nested Documents
 const productSchema = new mongoose.Schema({
   name: {
@@ -132,29 +223,32 @@ const productSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'INR', 'JPY']
+    enum: SUPPORTED_CURRENCIES
   },
+  // Name of any category in the taxonomy (see the categories collection)
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Electronics',
-      'Clothing',
-      'Shoes',
-      'Accessories',
-      'Home & Kitchen',
-      'Sports & Outdoors',
-      'Books',
-      'Toys & Games',
-      'Beauty & Personal Care',
-      'Automotive',
-      'Other'
-    ],
-    trim: true
+    trim: true,
+    validate: {
+      validator: async function(v) {
+        return (await loadCategories()).some(category => category.name === v);
+      },
+      message: props => `Unknown category "${props.value}"`
+    }
   },
+  // Name of a category below `category`
   subcategory: {
     type: String,
-    trim: true
+    trim: true,
+    validate: {
+      validator: async function(v) {
+        if (!v) return true;
+        const subcategory = (await loadCategories()).find(category => category.name === v);
+        return Boolean(subcategory) && subcategory.ancestors.some(ancestor => ancestor.name === this.category);
+      },
+      message: props => `Subcategory "${props.value}" is not a subcategory of the product's category`
+    }
   },
   brand: {
     type: String,
@@ -165,25 +259,58 @@ const productSchema = new mongoose.Schema({
   // NESTED ARRAY: Product Variants
   variants: {
     type: [variantSchema],
-    validate: {
-      validator: function(v) {
-        return v && v.length > 0;
+    validate: [
+      {
+        validator: function(v) {
+          return v && v.length > 0;
+        },
+        message: 'Product must have at least one variant'
       },
-      message: 'Product must have at least one variant'
-    }
+      {
+        // A unique multikey index only compares different documents, so repeats within one product are caught here
+        validator: function(v) {
+          return findDuplicateSkus(v).length === 0;
+        },
+        message: props => `Duplicate SKU within product: ${findDuplicateSkus(props.value).join(', ')}`
+      }
+    ]
   },
   
   // NESTED OBJECT: Product Specifications
   specifications: specificationSchema,
   
-  // NESTED ARRAY: Product Reviews
-  reviews: [reviewSchema],
+  // Summary of approved reviews, which live in their own collection
+  ratingSummary: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    // Number of approved reviews per star rating
+    histogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    }
+  },
   
   tags: [{
     type: String,
     trim: true
   }],
   
+  // Lower-cased name, brand, tags and SKUs and their words, kept up to date on save, so the
+  // suggest endpoint can look up prefixes in an index
+  suggestionKeys: {
+    type: [String],
+    select: false
+  },
+  
   mainImage: {
     type: String,
     required: true,
@@ -213,6 +340,7 @@ const productSchema = new mongoose.Schema({
       max: 100,
       default: 0
     },
+    validFrom: Date,
     validUntil: Date
   }
 }, {
@@ -221,11 +349,10 @@ const productSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual: Calculate average rating from reviews
+// Virtual: Average rating of approved reviews (kept for clients reading averageRating;
+// filter and sort on the stored ratingSummary.average)
 productSchema.virtual('averageRating').get(function() {
-  if (!this.reviews || this.reviews.length === 0) return 0;
-  const sum = this.reviews.reduce((acc, review) => acc + review.rating, 0);
-  return (sum / this.reviews.length).toFixed(1);
+  return (this.ratingSummary && this.ratingSummary.average) || 0;
 });
 
 // Virtual: Calculate total stock across all variants
@@ -234,24 +361,107 @@ productSchema.virtual('totalStock').get(function() {
   return this.variants.reduce((acc, variant) => acc + variant.stock, 0);
 });
 
-// Virtual: Calculate discounted price
+// Virtual: Units held by active reservations across all variants
+productSchema.virtual('totalReserved').get(function() {
+  if (!this.variants || this.variants.length === 0) return 0;
+  return this.variants.reduce((acc, variant) => acc + (variant.reserved || 0), 0);
+});
+
+// Virtual: Units that can still be sold across all variants
+productSchema.virtual('totalAvailable').get(function() {
+  if (!this.variants || this.variants.length === 0) return 0;
+  return this.variants.reduce((acc, variant) => acc + variant.available, 0);
+});
+
+// Virtual: Price after the product's own discount, while its window is open
+// (promotions are applied by the pricing engine, see GET /api/pricing/:sku)
 productSchema.virtual('discountedPrice').get(function() {
-  if (this.discount && this.discount.percentage > 0) {
-    const discountAmount = (this.basePrice * this.discount.percentage) / 100;
-    return (this.basePrice - discountAmount).toFixed(2);
+  const percentage = getActiveDiscountPercentage(this);
+  if (percentage > 0) {
+    const discountAmount = (this.basePrice * percentage) / 100;
+    return roundForCurrency(this.basePrice - discountAmount, this.currency);
   }
   return this.basePrice;
 });
 
+// A variant's stock is the sum of its per-location stock. Inventory levels may name their location
+// by id or code; variants given only a `stock` have it placed at the default location.
+productSchema.pre('validate', async function() {
+  const needsLocations = this.variants.some(variant => variant.inventory.length > 0 || variant.stock > 0);
+  if (!needsLocations) return;
+  
+  const locations = await loadLocations();
+  const fallback = locations.find(location => location.isDefault);
+  
+  this.variants.forEach((variant, i) => {
+    if (variant.inventory.length === 0) {
+      if (fallback && variant.stock > 0) {
+        variant.inventory = [{ location: fallback._id, code: fallback.code, stock: variant.stock, active: fallback.active }];
+      }
+      return;
+    }
+    
+    variant.inventory.forEach((level, j) => {
+      const location = locations.find(candidate => (level.location ? candidate._id.equals(level.location) : candidate.code === level.code));
+      if (!location) {
+        this.invalidate(`variants.${i}.inventory.${j}.location`, `Unknown location ${level.code || level.location}`);
+      } else if (variant.inventory.some((other, k) => k < j && String(other.location) === String(location._id))) {
+        this.invalidate(`variants.${i}.inventory.${j}.location`, `Location ${location.code} is listed twice for ${variant.sku}`);
+      } else {
+        level.location = location._id;
+        level.code = location.code;
+        level.active = location.active;
+      }
+    });
+    variant.stock = variant.inventory.reduce((acc, level) => acc + (level.stock || 0), 0);
+  });
+});
+
+productSchema.pre('validate', function(next) {
+  if (this.isNew || ['name', 'brand', 'tags', 'variants'].some(path => this.isModified(path))) {
+    this.suggestionKeys = buildSuggestionKeys(this);
+  }
+  next();
+});
+
+// Variant attributes must follow the definitions of the product's most specific category.
+// Only variants whose attributes changed are checked, so editing a definition doesn't block stock updates.
+productSchema.pre('validate', async function() {
+  if (!this.category) return;
+  
+  const recategorized = this.isNew || this.isModified('category') || this.isModified('subcategory');
+  const categories = await loadCategories();
+  const categoryName = categories.some(category => category.name === this.subcategory) ? this.subcategory : this.category;
+  const definitions = resolveCategoryAttributes(categories, categoryName);
+  
+  this.variants.forEach((variant, i) => {
+    const changed = variant.isNew || ['attributes', ...BUILT_IN_VARIANT_ATTRIBUTES].some(path => variant.isModified(path));
+    if (!recategorized && !changed) return;
+    
+    for (const { path, message } of checkVariantAttributes(variant, definitions, categoryName)) {
+      this.invalidate(`variants.${i}.${path}`, message);
+    }
+  });
+});
+
 // Index for better performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1, brand: 1 });
-productSchema.index({ 'variants.sku': 1 });
+// Multikey unique index: no SKU may appear on two products
+productSchema.index({ 'variants.sku': 1 }, { unique: true });
 productSchema.index({ status: 1 });
+// Compound with _id so cursor pagination has a unique, index-backed order
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ basePrice: 1, _id: 1 });
+productSchema.index({ name: 1, _id: 1 });
+productSchema.index({ 'ratingSummary.average': -1, _id: -1 });
+// Scheduled discounts that opened recently count as price drops
+productSchema.index({ 'discount.validFrom': 1 });
+productSchema.index({ suggestionKeys: 1 });
 
 // Instance method: Check if product is available
 productSchema.methods.isAvailable = function() {
-  return this.status === 'Active' && this.totalStock > 0;
+  return this.status === 'Active' && this.totalAvailable > 0;
 };
 
 // Instance method: Get variant by SKU
@@ -259,392 +469,6985 @@ productSchema.methods.getVariantBySku = function(sku) {
   return this.variants.find(v => v.sku === sku.toUpperCase());
 };
 
-// Static method: Find products by category
-productSchema.statics.findByCategory = function(category) {
-  return this.find({ category: category, status: 'Active' });
+// Static method: Find active products in a category or anywhere below it
+productSchema.statics.findByCategory = async function(category) {
+  const names = await Category.subtreeNames(category);
+  return this.find({
+    status: 'Active',
+    $or: [{ category: { $in: names } }, { subcategory: { $in: names } }]
+  });
+};
+
+// Static method: Find the product holding a variant SKU
+productSchema.statics.findBySku = function(sku) {
+  return this.findOne({ 'variants.sku': String(sku).trim().toUpperCase() });
 };
 
-// Static method: Find products with variants in stock
+// Static method: Find products with variants in stock at an active location
 productSchema.statics.findInStock = function() {
   return this.find({
     status: 'Active',
-    'variants.stock': { $gt: 0 }
+    'variants.inventory': { $elemMatch: { stock: { $gt: 0 }, active: { $ne: false } } }
   });
 };
 
-// Pre-save middleware: Update status if all variants are out of stock
+// ------------------------------------
+// Status lifecycle
+// ------------------------------------
+// Active <-> Out of Stock follows stock levels automatically. Manual changes are limited to the
+// transitions below: Discontinued is terminal and Inactive is never left without a request.
+const STATUS_TRANSITIONS = {
+  'Active': ['Inactive', 'Discontinued'],
+  'Out of Stock': ['Active', 'Inactive', 'Discontinued'],
+  'Inactive': ['Active', 'Discontinued'],
+  'Discontinued': []
+};
+
+const canChangeStatus = (from, to) => from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Stock-driven status: only Active and Out of Stock react to stock levels, counting only
+// stock at active locations (reserved units still count; they are in stock, just held)
+const deriveStatus = (status, sellableStock) => {
+  if (status === 'Active' && sellableStock === 0) return 'Out of Stock';
+  if (status === 'Out of Stock' && sellableStock > 0) return 'Active';
+  return status;
+};
+
+// Stock at active locations across variants (documents or plain objects)
+const totalSellableStock = (variants) =>
+  (variants || []).reduce((acc, variant) => acc + (variant.stock || 0) - unsellableStock(variant), 0);
+
+// Stock of `$$variant` held at inactive locations, which can't be sold
+const UNSELLABLE_STOCK_EXPRESSION = {
+  $sum: {
+    $map: {
+      input: { $ifNull: ['$$variant.inventory', []] },
+      as: 'level',
+      in: { $cond: [{ $eq: ['$$level.active', false] }, '$$level.stock', 0] }
+    }
+  }
+};
+
+// Sum of every variant's stock at active locations, for update pipelines and $expr
+const SELLABLE_STOCK_EXPRESSION = {
+  $sum: {
+    $map: {
+      input: { $ifNull: ['$variants', []] },
+      as: 'variant',
+      in: { $subtract: [{ $ifNull: ['$$variant.stock', 0] }, UNSELLABLE_STOCK_EXPRESSION] }
+    }
+  }
+};
+
+// Static method: Re-derive stock-driven statuses straight on the collection (no middleware).
+// Resolves to the products whose status changed.
+productSchema.statics.reconcileStatus = async function(ids, { session } = {}) {
+  if (!ids || ids.length === 0) return [];
+  
+  const objectIds = ids.map(id => new mongoose.Types.ObjectId(String(id)));
+  const rules = [
+    { from: 'Active', to: 'Out of Stock', condition: { $eq: [SELLABLE_STOCK_EXPRESSION, 0] } },
+    { from: 'Out of Stock', to: 'Active', condition: { $gt: [SELLABLE_STOCK_EXPRESSION, 0] } }
+  ];
+  
+  const changed = [];
+  for (const { from, to, condition } of rules) {
+    const filter = { _id: { $in: objectIds }, status: from, $expr: condition };
+    const candidates = await this.collection.find(filter, { projection: { _id: 1 }, session }).toArray();
+    
+    // One conditional update per product so we know exactly which ones flipped
+    for (const { _id } of candidates) {
+      const result = await this.collection.updateOne(
+        { _id, status: from, $expr: condition },
+        { $set: { status: to } },
+        { session }
+      );
+      if (result.modifiedCount === 1) {
+        changed.push({ _id, from, to });
+        emitStatusChangeEvent(_id, { from, to }, session);
+      }
+    }
+  }
+  return changed;
+};
+
+// Static method: bulkWrite skips middleware, so reconcile the touched products afterwards
+productSchema.statics.bulkWriteAndReconcile = async function(ops, options = {}) {
+  const filters = [];
+  const insertedIds = [];
+  
+  for (const op of ops) {
+    const [type, spec] = Object.entries(op)[0];
+    if (type === 'insertOne') insertedIds.push(spec.document._id);
+    else if (spec.filter) filters.push(spec.filter);
+  }
+  
+  const matchedIds = filters.length > 0
+    ? await this.distinct('_id', { $or: filters }).session(options.session || null)
+    : [];
+  
+  const result = await this.bulkWrite(ops, options);
+  await this.reconcileStatus([...matchedIds, ...insertedIds.filter(Boolean)], options);
+  return result;
+};
+
+// Remember the stored status so save() can validate the transition,
+// and the stored prices so save() can record what changed
+productSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedPrices = snapshotPrices(this);
+});
+
+// Pre-save middleware: Enforce the lifecycle and derive status from stock
 productSchema.pre('save', function(next) {
-  const totalStock = this.variants.reduce((acc, v) => acc + v.stock, 0);
-  if (totalStock === 0 && this.status === 'Active') {
-    this.status = 'Out of Stock';
+  const previous = this.isNew ? undefined : this.$locals.persistedStatus;
+  
+  if (previous && this.isModified('status') && !canChangeStatus(previous, this.status)) {
+    return next(new ConflictError(`Cannot change status from ${previous} to ${this.status}`, [
+      { productId: this._id, from: previous, to: this.status }
+    ]));
+  }
+  
+  const requested = this.status;
+  this.status = deriveStatus(this.status, totalSellableStock(this.variants));
+  this.$locals.derivedStatusChange = requested !== this.status ? { from: requested, to: this.status } : null;
+  
+  this.$locals.priceChanges = diffPrices(this.isNew ? null : this.$locals.persistedPrices, snapshotPrices(this));
+  next();
+});
+
+// A product that takes a category bumps a counter on the category document in the save's
+// session. The category validators read a cache, and a concurrent deleteCategory would not
+// see this product yet; deleting the document now conflicts with this write instead, and a
+// category deleted in the meantime is reported here.
+productSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('category') && !this.isModified('subcategory')) return;
+  
+  const missing = [];
+  for (const path of ['category', 'subcategory']) {
+    const name = this.get(path);
+    if (!name) continue;
+    
+    const { matchedCount } = await Category.updateOne(
+      { name },
+      { $inc: { productWrites: 1 } },
+      { session: this.$session(), timestamps: false }
+    );
+    if (matchedCount === 0) missing.push({ path, name });
+  }
+  if (missing.length === 0) return;
+  
+  const error = new mongoose.Error.ValidationError(this);
+  for (const { path, name } of missing) {
+    error.addError(path, new mongoose.Error.ValidatorError({
+      path,
+      value: name,
+      message: `Unknown ${path} "${name}"`
+    }));
+  }
+  throw error;
+});
+
+productSchema.post('save', async function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedPrices = snapshotPrices(this);
+  
+  const change = this.$locals.derivedStatusChange;
+  if (change) emitStatusChangeEvent(this._id, change, this.$session());
+  
+  // Set $locals.actor before saving to attribute price changes
+  const priceChanges = this.$locals.priceChanges || [];
+  this.$locals.priceChanges = null;
+  if (priceChanges.length > 0) {
+    await PriceChange.insertMany(
+      priceChanges.map(entry => ({ ...entry, product: this._id, actor: this.$locals.actor || 'system' })),
+      { session: this.$session() }
+    );
+  }
+});
+
+// insertMany skips save middleware, so derive status and suggestion keys on the raw documents
+productSchema.pre('insertMany', function(next, docs) {
+  for (const doc of docs) {
+    doc.status = deriveStatus(doc.status || 'Active', totalSellableStock(doc.variants));
+    doc.suggestionKeys = buildSuggestionKeys(doc);
   }
   next();
 });
 
+// Update queries: reject illegal status changes and remember which products to reconcile
+productSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function() {
+  const update = this.getUpdate() || {};
+  const requested = Array.isArray(update) ? undefined : (update.$set?.status ?? update.status);
+  
+  // findOneAndUpdate reconciles from the returned document, so only look up when validating
+  if (requested === undefined && this.op === 'findOneAndUpdate') return;
+  
+  const current = await this.model.find(this.getFilter())
+    .select('status')
+    .session(this.getOptions().session || null)
+    .lean();
+  
+  const illegal = requested !== undefined && current.find(doc => !canChangeStatus(doc.status, requested));
+  if (illegal) {
+    throw new ConflictError(`Cannot change status from ${illegal.status} to ${requested}`, [
+      { productId: illegal._id, from: illegal.status, to: requested }
+    ]);
+  }
+  
+  this._statusReconcileIds = current.map(doc => doc._id);
+});
+
+productSchema.post(['updateOne', 'updateMany'], async function() {
+  await this.model.reconcileStatus(this._statusReconcileIds, { session: this.getOptions().session });
+});
+
+productSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+  
+  const options = this.getOptions();
+  const [change] = await this.model.reconcileStatus([doc._id], { session: options.session });
+  
+  // Keep a returned post-update document in line with what is stored
+  if (change && (options.new || options.returnDocument === 'after')) {
+    doc.status = change.to;
+    doc.$locals.persistedStatus = change.to;
+  }
+});
+
 const Product = mongoose.model('Product', productSchema);
 
 // ====================================
-// SAMPLE DATA GENERATOR
+// REVIEW MODEL
 // ====================================
-async function generateSampleData() {
-  try {
-    // Check if data already exists
-    const count = await Product.countDocuments();
-    if (count > 0) {
-      console.log('📦 Sample data already exists');
-      return;
-    }
+const REVIEW_STATUSES = ['Pending', 'Approved', 'Rejected'];
 
-    const sampleProducts = [
-      {
-        name: 'Premium Cotton T-Shirt',
-        description: 'Comfortable 100% cotton t-shirt perfect for everyday wear. Pre-shrunk fabric ensures lasting fit.',
-        basePrice: 29.99,
-        currency: 'USD',
-        category: 'Clothing',
-        subcategory: 'T-Shirts',
-        brand: 'ComfortWear',
-        mainImage: 'https://example.com/images/tshirt-main.jpg',
-        additionalImages: [
-          'https://example.com/images/tshirt-back.jpg',
-          'https://example.com/images/tshirt-detail.jpg'
-        ],
-        variants: [
-          {
-            color: 'Black',
-            size: 'M',
-            stock: 50,
-            sku: 'TSH-BLK-M-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/tshirt-black-m.jpg'],
-            weight: { value: 0.2, unit: 'kg' }
-          },
-          {
-            color: 'Black',
-            size: 'L',
-            stock: 45,
-            sku: 'TSH-BLK-L-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/tshirt-black-l.jpg'],
-            weight: { value: 0.22, unit: 'kg' }
-          },
-          {
-            color: 'White',
-            size: 'M',
-            stock: 60,
-            sku: 'TSH-WHT-M-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/tshirt-white-m.jpg'],
-            weight: { value: 0.2, unit: 'kg' }
-          },
-          {
-            color: 'Navy Blue',
-            size: 'L',
-            stock: 30,
-            sku: 'TSH-NVY-L-001',
-            additionalPrice: 2,
-            images: ['https://example.com/images/tshirt-navy-l.jpg'],
-            weight: { value: 0.22, unit: 'kg' }
-          }
-        ],
-        specifications: {
-          material: '100% Cotton',
-          dimensions: {
-            length: 70,
-            width: 50,
-            height: 1,
-            unit: 'cm'
-          },
-          warranty: '30 days return policy',
-          manufacturer: 'ComfortWear Inc.',
-          countryOfOrigin: 'India'
-        },
-        reviews: [
-          {
-            username: 'john_doe',
-            rating: 5,
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Authenticated user who wrote the review; one review per user per product
+  userId: String,
+  username: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: Date,
+  // Only approved reviews are shown publicly and count toward averageRating
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'Pending'
+  },
+  moderatedBy: String,
+  moderatedAt: Date,
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // helpfulCount - notHelpfulCount, stored so the helpful sort can use an index
+  helpfulScore: {
+    type: Number,
+    default: 0
+  },
+  // One vote per user; the counts above are kept in step with this list
+  votes: {
+    type: [{
+      _id: false,
+      userId: String,
+      helpful: Boolean
+    }],
+    select: false
+  }
+});
+
+// Reviews migrated from before sign-in was required have no userId
+reviewSchema.index(
+  { product: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: 'string' } } }
+);
+reviewSchema.index({ product: 1, status: 1, date: -1, _id: -1 });
+reviewSchema.index({ product: 1, status: 1, rating: -1, _id: -1 });
+reviewSchema.index({ product: 1, status: 1, helpfulScore: -1, _id: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// ====================================
+// ORDER MODEL
+// ====================================
+
+// Order Item Schema (Nested) - prices are captured at order time
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  color: String,
+  size: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Promotions that made up discountAmount
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    code: String,
+    amount: Number
+  }],
+  // Locations the units were taken from; cancelling returns them there
+  allocations: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    code: String,
+    quantity: Number
+  }],
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'Order must have at least one item'
+    }
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Coupon redeemed by this order (only set when it discounted at least one item)
+  coupon: {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String
+  },
+  customer: {
+    // Authenticated user who placed the order
+    userId: String,
+    username: String,
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['Placed', 'Cancelled'],
+    default: 'Placed'
+  },
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'customer.userId': 1, createdAt: -1 });
+orderSchema.index({ 'items.sku': 1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+// ====================================
+// RESERVATION MODEL
+// ====================================
+
+// A time-limited hold on variant stock (e.g. while a cart is checked out)
+const reservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  cartId: {
+    type: String,
+    trim: true
+  },
+  // Authenticated user who made the hold
+  userId: String,
+  status: {
+    type: String,
+    enum: ['Active', 'Committed', 'Released', 'Expired'],
+    default: 'Active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// The sweeper returns expired holds to stock; the TTL index only purges old documents afterwards
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RESERVATION_RETENTION_SECONDS });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ cartId: 1 });
+reservationSchema.index({ userId: 1, createdAt: -1 });
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+// ====================================
+// INVENTORY LEDGER MODEL
+// ====================================
+
+// Reasons a client may give for a manual stock change
+const MANUAL_STOCK_REASONS = ['restock', 'return', 'damaged', 'lost', 'correction'];
+// Reasons recorded by the system itself
+const SYSTEM_STOCK_REASONS = ['sale', 'order_cancelled', 'reservation_committed', 'import', 'transfer'];
+
+// One entry per stock change of a variant
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  before: {
+    type: Number,
+    required: true
+  },
+  after: {
+    type: Number,
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Where the change happened; a transfer has one negative and one positive entry and a total delta of 0
+  locations: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    code: String,
+    delta: Number
+  }],
+  reason: {
+    type: String,
+    required: true,
+    enum: [...MANUAL_STOCK_REASONS, ...SYSTEM_STOCK_REASONS]
+  },
+  actor: {
+    type: String,
+    trim: true,
+    default: 'system'
+  },
+  // Order or reservation that caused the change, if any
+  reference: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ createdAt: -1 });
+inventoryMovementSchema.index({ 'locations.code': 1, createdAt: -1 });
+
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+// Raised when a stock change takes a variant to or below its reorder point
+const stockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  stock: {
+    type: Number,
+    required: true
+  },
+  reorderPoint: {
+    type: Number,
+    required: true
+  },
+  reorderQuantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Acknowledged', 'Resolved'],
+    default: 'Open'
+  },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+stockAlertSchema.index({ sku: 1, status: 1 });
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+
+// ====================================
+// PRICE HISTORY MODEL
+// ====================================
+// One entry per price field change; product-level entries also carry the
+// effective price (basePrice less the product discount) before and after
+const priceChangeSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set for variant surcharges, empty for product-level fields
+  sku: String,
+  field: {
+    type: String,
+    required: true,
+    enum: ['basePrice', 'discount', 'additionalPrice']
+  },
+  // null when the price was first set
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+  currency: String,
+  effectivePrice: {
+    from: Number,
+    to: Number
+  },
+  actor: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceChangeSchema.index({ product: 1, createdAt: -1 });
+priceChangeSchema.index({ createdAt: -1, product: 1 });
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+// ====================================
+// WEBHOOK MODELS
+// ====================================
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.out_of_stock',
+  'product.back_in_stock',
+  'variant.added',
+  'variant.updated',
+  'variant.deleted',
+  'variant.stock_changed',
+  'review.added'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/\S+$/i.test(v);
+      },
+      message: 'Webhook URL must be an http(s) URL'
+    }
+  },
+  // '*' subscribes to every event
+  events: {
+    type: [{
+      type: String,
+      enum: [...WEBHOOK_EVENTS, '*']
+    }],
+    validate: {
+      validator: function(v) {
+        return v && v.length > 0;
+      },
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Used to sign deliveries; only returned when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+// Delivery log: one document per event per subscription, updated on every attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Succeeded', 'Failed'],
+    default: 'Pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// ====================================
+// API KEY MODEL
+// ====================================
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: ROLES
+  },
+  // SHA-256 of the key; the key itself is only returned when it is issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to tell keys apart
+  prefix: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// ====================================
+// EXCHANGE RATE MODEL
+// ====================================
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: SUPPORTED_CURRENCIES.filter(currency => currency !== BASE_CURRENCY)
+  },
+  // Units of this currency per 1 BASE_CURRENCY
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be positive']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'file'],
+    default: 'manual'
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+// ====================================
+// PROMOTION MODEL
+// ====================================
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Coupon code; promotions with a code only apply when the code is given
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed']
+  },
+  // Percent off, or an amount off each unit in `currency`
+  value: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Value must be positive'],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discounts cannot exceed 100'
+    }
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: [function() { return this.type === 'fixed'; }, 'Fixed discounts need a currency']
+  },
+  // What the promotion applies to; leave every list empty to cover the whole catalog
+  appliesTo: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [String],
+    brands: [String],
+    skus: [{
+      type: String,
+      trim: true,
+      uppercase: true
+    }]
+  },
+  // Stackable promotions combine with each other; exclusive ones apply on their own
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: Date,
+  endsAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Coupon redemptions allowed (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+// ====================================
+// CATEGORY MODEL
+// ====================================
+
+// Types a category attribute can take
+const VARIANT_ATTRIBUTE_TYPES = ['string', 'number', 'boolean'];
+// Attributes stored as variant fields rather than in variant.attributes
+const BUILT_IN_VARIANT_ATTRIBUTES = ['color', 'size'];
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// An attribute that variants of the category (and of its subcategories) carry
+const categoryAttributeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Attribute name is required'],
+    trim: true,
+    match: [ATTRIBUTE_NAME_PATTERN, 'Attribute names must start with a letter and contain only letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: VARIANT_ATTRIBUTE_TYPES,
+    default: 'string'
+  },
+  // Allowed values; any value of `type` is accepted when empty
+  values: [mongoose.Schema.Types.Mixed],
+  unit: {
+    type: String,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const categoryAncestorSchema = new mongoose.Schema({
+  _id: mongoose.Schema.Types.ObjectId,
+  name: String,
+  slug: String
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  // Unique across the taxonomy because products refer to categories by name
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and single hyphens']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path from the root down to the parent, so subtrees and breadcrumbs need one query
+  ancestors: [categoryAncestorSchema],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Bumped by product writes that assign this category (see the product pre-save hook)
+  productWrites: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Inherited by subcategories, which may redefine an attribute of the same name
+  attributes: {
+    type: [categoryAttributeSchema],
+    validate: {
+      validator: function(v) {
+        return findAttributeDefinitionErrors(v).length === 0;
+      },
+      message: props => findAttributeDefinitionErrors(props.value).join('; ')
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+categorySchema.index({ 'ancestors._id': 1 });
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+// Virtual: Root-first trail ending with the category itself
+categorySchema.virtual('breadcrumbs').get(function() {
+  return [
+    ...this.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: this._id, name: this.name, slug: this.slug }
+  ];
+});
+
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  next();
+});
+
+// Static method: Find a category by id, slug or name
+categorySchema.statics.findByRef = function(ref) {
+  const value = String(ref).trim();
+  const filters = [{ slug: value.toLowerCase() }, { name: value }];
+  if (/^[0-9a-f]{24}$/i.test(value)) filters.push({ _id: value });
+  return this.findOne({ $or: filters });
+};
+
+// Static method: Names of a category (id, slug, name or document) and all of its descendants
+categorySchema.statics.subtreeNames = async function(ref) {
+  const category = ref instanceof this ? ref : await this.findByRef(ref);
+  if (!category) return [];
+  
+  const descendants = await this.find({ 'ancestors._id': category._id }).select('name').lean();
+  return [category.name, ...descendants.map(descendant => descendant.name)];
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+// ====================================
+// LOCATION MODEL
+// ====================================
+// A warehouse or store holding stock
+const locationSchema = new mongoose.Schema({
+  // Stored on inventory levels and used in filters, so it cannot change once created
+  code: {
+    type: String,
+    required: [true, 'Location code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    immutable: true,
+    match: [/^[A-Z0-9][A-Z0-9-]*$/, 'Location codes may only contain letters, digits and hyphens']
+  },
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'store'],
+    default: 'warehouse'
+  },
+  address: {
+    line1: String,
+    city: String,
+    region: String,
+    postalCode: String,
+    country: String
+  },
+  // Orders take stock from active locations in ascending priority
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Receives stock changes that don't name a location
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive locations keep their stock, but it can't be reserved, ordered or listed as shipping
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+const Location = mongoose.model('Location', locationSchema);
+
+// ====================================
+// SAMPLE DATA GENERATOR
+// ====================================
+
+// Starter taxonomy: top-level categories and their subcategories
+const DEFAULT_CATEGORIES = {
+  'Electronics': ['Audio'],
+  'Clothing': ['T-Shirts'],
+  'Shoes': ['Athletic'],
+  'Accessories': [],
+  'Home & Kitchen': ['Drinkware'],
+  'Sports & Outdoors': [],
+  'Books': [],
+  'Toys & Games': [],
+  'Beauty & Personal Care': [],
+  'Automotive': [],
+  'Other': []
+};
+
+// Starter variant attribute definitions by category name
+const DEFAULT_CATEGORY_ATTRIBUTES = {
+  'Clothing': [
+    { name: 'size', type: 'string', values: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size', 'Custom'], required: true }
+  ],
+  'Shoes': [
+    { name: 'size', label: 'EU size', type: 'string', values: Array.from({ length: 14 }, (_, i) => String(35 + i)), required: true }
+  ],
+  'Electronics': [
+    { name: 'storage', type: 'string', values: ['32GB', '64GB', '128GB', '256GB', '512GB', '1TB', '2TB'] },
+    { name: 'ram', label: 'RAM', type: 'number', unit: 'GB' }
+  ],
+  'Audio': [
+    { name: 'connectivity', type: 'string', values: ['Wired', 'Bluetooth', 'Wireless'] }
+  ],
+  'Drinkware': [
+    { name: 'capacity', type: 'number', unit: 'ml' }
+  ]
+};
+
+// Create the category taxonomy on first start. Category and subcategory names already used
+// by products (from before categories were stored) are added so those products stay valid.
+async function seedCategories() {
+  if (await Category.exists({})) {
+    // Taxonomies created before categories had attributes get the starter definitions
+    for (const [name, attributes] of Object.entries(DEFAULT_CATEGORY_ATTRIBUTES)) {
+      await Category.updateOne({ name, attributes: { $exists: false } }, { $set: { attributes } });
+    }
+    invalidateCategoryCache();
+    return;
+  }
+  
+  const tree = Object.fromEntries(Object.entries(DEFAULT_CATEGORIES).map(([name, children]) => [name, new Set(children)]));
+  const pairs = await Product.aggregate([
+    { $group: { _id: { category: '$category', subcategory: '$subcategory' } } }
+  ]);
+  for (const { _id: { category, subcategory } } of pairs) {
+    if (!category) continue;
+    if (!tree[category]) tree[category] = new Set();
+    if (subcategory) tree[category].add(subcategory);
+  }
+  
+  const roots = await Category.create(Object.keys(tree).map(name => ({ name, attributes: DEFAULT_CATEGORY_ATTRIBUTES[name] })));
+  let created = roots.length;
+  for (const root of roots) {
+    for (const child of tree[root.name]) {
+      // Names are unique, so a subcategory name already used elsewhere in the taxonomy keeps its
+      // first place. Products pairing it with this category fail validation until they are fixed.
+      if (await Category.exists({ name: child })) {
+        const stranded = await Product.find({ category: root.name, subcategory: child }).select('name').lean();
+        if (stranded.length > 0) {
+          console.warn(`⚠️  "${child}" is already in the taxonomy, so it can't also be a subcategory of "${root.name}". ` +
+            `These products can't be saved until their category or subcategory is changed:`);
+          for (const product of stranded) console.warn(`   ${product._id} ${product.name}`);
+        }
+        continue;
+      }
+      await Category.create({
+        name: child,
+        parent: root._id,
+        ancestors: [{ _id: root._id, name: root.name, slug: root.slug }],
+        attributes: DEFAULT_CATEGORY_ATTRIBUTES[child]
+      });
+      created += 1;
+    }
+  }
+  invalidateCategoryCache();
+  
+  console.log(`🗂️  ${created} categories added to the taxonomy`);
+}
+
+// Location created on first start. `migrate-locations` places stock recorded before
+// locations existed here.
+const DEFAULT_LOCATION = { code: 'MAIN', name: 'Main warehouse', type: 'warehouse', isDefault: true };
+
+// Make sure a default location exists
+async function seedLocations() {
+  if (!(await Location.exists({}))) {
+    const fallback = await Location.create(DEFAULT_LOCATION);
+    console.log(`🏭 Default location ${fallback.code} created`);
+  }
+  invalidateLocationCache();
+}
+
+// Place stock recorded before locations existed at the default location.
+// Resolves to the number of products changed; safe to re-run.
+const placeUnlocatedStock = async () => {
+  const fallback = await Location.findOne({ isDefault: true });
+  if (!fallback) throw new Error('No default location to place stock at');
+  
+  const placed = { $gt: [{ $size: { $ifNull: ['$$variant.inventory', []] } }, 0] };
+  const { modifiedCount } = await Product.updateMany(
+    { variants: { $elemMatch: { stock: { $gt: 0 }, 'inventory.0': { $exists: false } } } },
+    [{
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'variant',
+            in: {
+              $cond: [
+                { $and: [{ $gt: ['$$variant.stock', 0] }, { $not: [placed] }] },
+                {
+                  $mergeObjects: ['$$variant', {
+                    inventory: [{ location: fallback._id, code: fallback.code, stock: '$$variant.stock', active: fallback.active }]
+                  }]
+                },
+                '$$variant'
+              ]
+            }
+          }
+        }
+      }
+    }]
+  );
+  return { location: fallback.code, products: modifiedCount };
+};
+
+async function generateSampleData() {
+  try {
+    // Check if data already exists
+    const count = await Product.countDocuments();
+    if (count > 0) {
+      console.log('📦 Sample data already exists');
+      return;
+    }
+
+    const sampleProducts = [
+      {
+        name: 'Premium Cotton T-Shirt',
+        description: 'Comfortable 100% cotton t-shirt perfect for everyday wear. Pre-shrunk fabric ensures lasting fit.',
+        basePrice: 29.99,
+        currency: 'USD',
+        category: 'Clothing',
+        subcategory: 'T-Shirts',
+        brand: 'ComfortWear',
+        mainImage: 'https://example.com/images/tshirt-main.jpg',
+        additionalImages: [
+          'https://example.com/images/tshirt-back.jpg',
+          'https://example.com/images/tshirt-detail.jpg'
+        ],
+        variants: [
+          {
+            color: 'Black',
+            size: 'M',
+            stock: 50,
+            sku: 'TSH-BLK-M-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/tshirt-black-m.jpg'],
+            weight: { value: 0.2, unit: 'kg' }
+          },
+          {
+            color: 'Black',
+            size: 'L',
+            stock: 45,
+            sku: 'TSH-BLK-L-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/tshirt-black-l.jpg'],
+            weight: { value: 0.22, unit: 'kg' }
+          },
+          {
+            color: 'White',
+            size: 'M',
+            stock: 60,
+            sku: 'TSH-WHT-M-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/tshirt-white-m.jpg'],
+            weight: { value: 0.2, unit: 'kg' }
+          },
+          {
+            color: 'Navy Blue',
+            size: 'L',
+            stock: 30,
+            sku: 'TSH-NVY-L-001',
+            additionalPrice: 2,
+            images: ['https://example.com/images/tshirt-navy-l.jpg'],
+            weight: { value: 0.22, unit: 'kg' }
+          }
+        ],
+        specifications: {
+          material: '100% Cotton',
+          dimensions: {
+            length: 70,
+            width: 50,
+            height: 1,
+            unit: 'cm'
+          },
+          warranty: '30 days return policy',
+          manufacturer: 'ComfortWear Inc.',
+          countryOfOrigin: 'India'
+        },
+        reviews: [
+          {
+            username: 'john_doe',
+            rating: 5,
             comment: 'Excellent quality! Very comfortable and fits perfectly.',
-            date: new Date('2025-09-15')
+            date: new Date('2025-09-15'),
+            status: 'Approved'
+          },
+          {
+            username: 'sarah_smith',
+            rating: 4,
+            comment: 'Good quality shirt, but runs slightly small.',
+            date: new Date('2025-09-20'),
+            status: 'Approved'
+          }
+        ],
+        tags: ['cotton', 'casual', 'comfortable', 'basic'],
+        status: 'Active',
+        featured: true,
+        discount: {
+          percentage: 10,
+          validUntil: new Date('2025-12-31')
+        }
+      },
+      {
+        name: 'Wireless Bluetooth Headphones',
+        description: 'Premium over-ear headphones with active noise cancellation, 30-hour battery life, and superior sound quality.',
+        basePrice: 199.99,
+        currency: 'USD',
+        category: 'Electronics',
+        subcategory: 'Audio',
+        brand: 'SoundMaster',
+        mainImage: 'https://example.com/images/headphones-main.jpg',
+        additionalImages: [
+          'https://example.com/images/headphones-side.jpg',
+          'https://example.com/images/headphones-case.jpg'
+        ],
+        variants: [
+          {
+            color: 'Black',
+            size: 'One Size',
+            stock: 25,
+            sku: 'HPH-BLK-OS-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/headphones-black.jpg'],
+            weight: { value: 250, unit: 'g' },
+            attributes: { connectivity: 'Bluetooth' }
+          },
+          {
+            color: 'Silver',
+            size: 'One Size',
+            stock: 15,
+            sku: 'HPH-SLV-OS-001',
+            additionalPrice: 20,
+            images: ['https://example.com/images/headphones-silver.jpg'],
+            weight: { value: 250, unit: 'g' },
+            attributes: { connectivity: 'Bluetooth' }
+          },
+          {
+            color: 'Rose Gold',
+            size: 'One Size',
+            stock: 10,
+            sku: 'HPH-RSG-OS-001',
+            additionalPrice: 30,
+            images: ['https://example.com/images/headphones-rosegold.jpg'],
+            weight: { value: 250, unit: 'g' },
+            attributes: { connectivity: 'Bluetooth' }
+          }
+        ],
+        specifications: {
+          material: 'Aluminum and Leather',
+          dimensions: {
+            length: 20,
+            width: 18,
+            height: 8,
+            unit: 'cm'
+          },
+          warranty: '2 years manufacturer warranty',
+          manufacturer: 'SoundMaster Technologies',
+          countryOfOrigin: 'Japan'
+        },
+        reviews: [
+          {
+            username: 'audio_enthusiast',
+            rating: 5,
+            comment: 'Best headphones I have ever owned! Crystal clear sound and excellent noise cancellation.',
+            date: new Date('2025-08-10'),
+            status: 'Approved'
+          },
+          {
+            username: 'music_lover',
+            rating: 5,
+            comment: 'Worth every penny. Battery life is amazing!',
+            date: new Date('2025-09-05'),
+            status: 'Approved'
+          },
+          {
+            username: 'tech_reviewer',
+            rating: 4,
+            comment: 'Great sound quality, but a bit heavy for long sessions.',
+            date: new Date('2025-09-25'),
+            status: 'Approved'
+          }
+        ],
+        tags: ['wireless', 'bluetooth', 'noise-cancellation', 'premium', 'audio'],
+        status: 'Active',
+        featured: true,
+        discount: {
+          percentage: 15,
+          validUntil: new Date('2025-11-30')
+        }
+      },
+      {
+        name: 'Running Shoes - Pro Series',
+        description: 'Professional running shoes with advanced cushioning technology, breathable mesh, and excellent grip for all terrains.',
+        basePrice: 89.99,
+        currency: 'USD',
+        category: 'Shoes',
+        subcategory: 'Athletic',
+        brand: 'RunFast',
+        mainImage: 'https://example.com/images/shoes-main.jpg',
+        additionalImages: [
+          'https://example.com/images/shoes-side.jpg',
+          'https://example.com/images/shoes-sole.jpg'
+        ],
+        variants: [
+          {
+            color: 'Red',
+            size: '42',
+            stock: 20,
+            sku: 'SHO-RED-M-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/shoes-red-m.jpg'],
+            weight: { value: 350, unit: 'g' }
+          },
+          {
+            color: 'Red',
+            size: '43',
+            stock: 18,
+            sku: 'SHO-RED-L-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/shoes-red-l.jpg'],
+            weight: { value: 380, unit: 'g' }
+          },
+          {
+            color: 'Blue',
+            size: '42',
+            stock: 25,
+            sku: 'SHO-BLU-M-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/shoes-blue-m.jpg'],
+            weight: { value: 350, unit: 'g' }
+          },
+          {
+            color: 'Black',
+            size: '43',
+            stock: 30,
+            sku: 'SHO-BLK-L-001',
+            additionalPrice: 5,
+            images: ['https://example.com/images/shoes-black-l.jpg'],
+            weight: { value: 380, unit: 'g' }
+          }
+        ],
+        specifications: {
+          material: 'Breathable Mesh and Synthetic',
+          dimensions: {
+            length: 30,
+            width: 12,
+            height: 10,
+            unit: 'cm'
+          },
+          warranty: '6 months manufacturer warranty',
+          manufacturer: 'RunFast Sports',
+          countryOfOrigin: 'Vietnam'
+        },
+        reviews: [
+          {
+            username: 'marathon_runner',
+            rating: 5,
+            comment: 'Perfect for long distance running. Very comfortable!',
+            date: new Date('2025-07-20'),
+            status: 'Approved'
+          }
+        ],
+        tags: ['running', 'sports', 'athletic', 'breathable', 'cushioned'],
+        status: 'Active',
+        featured: false,
+        discount: {
+          percentage: 0,
+          validUntil: null
+        }
+      },
+      {
+        name: 'Stainless Steel Water Bottle',
+        description: 'Eco-friendly insulated water bottle that keeps drinks cold for 24 hours and hot for 12 hours. BPA-free and leak-proof.',
+        basePrice: 24.99,
+        currency: 'USD',
+        category: 'Home & Kitchen',
+        subcategory: 'Drinkware',
+        brand: 'EcoHydrate',
+        mainImage: 'https://example.com/images/bottle-main.jpg',
+        additionalImages: [
+          'https://example.com/images/bottle-cap.jpg'
+        ],
+        variants: [
+          {
+            color: 'Silver',
+            size: 'One Size',
+            stock: 100,
+            sku: 'BTL-SLV-OS-001',
+            additionalPrice: 0,
+            images: ['https://example.com/images/bottle-silver.jpg'],
+            weight: { value: 300, unit: 'g' },
+            attributes: { capacity: 750 }
           },
           {
-            username: 'sarah_smith',
-            rating: 4,
-            comment: 'Good quality shirt, but runs slightly small.',
-            date: new Date('2025-09-20')
-          }
-        ],
-        tags: ['cotton', 'casual', 'comfortable', 'basic'],
-        status: 'Active',
-        featured: true,
-        discount: {
-          percentage: 10,
-          validUntil: new Date('2025-12-31')
+            color: 'Matte Black',
+            size: 'One Size',
+            stock: 85,
+            sku: 'BTL-BLK-OS-001',
+            additionalPrice: 3,
+            images: ['https://example.com/images/bottle-black.jpg'],
+            weight: { value: 300, unit: 'g' },
+            attributes: { capacity: 750 }
+          },
+          {
+            color: 'Ocean Blue',
+            size: 'One Size',
+            stock: 75,
+            sku: 'BTL-BLU-OS-001',
+            additionalPrice: 3,
+            images: ['https://example.com/images/bottle-blue.jpg'],
+            weight: { value: 300, unit: 'g' },
+            attributes: { capacity: 750 }
+          }
+        ],
+        specifications: {
+          material: 'Stainless Steel 304',
+          dimensions: {
+            length: 27,
+            width: 7,
+            height: 7,
+            unit: 'cm'
+          },
+          warranty: '1 year warranty',
+          manufacturer: 'EcoHydrate Inc.',
+          countryOfOrigin: 'China'
+        },
+        reviews: [
+          {
+            username: 'eco_warrior',
+            rating: 5,
+            comment: 'Love this bottle! Keeps my water cold all day.',
+            date: new Date('2025-08-15'),
+            status: 'Approved'
+          },
+          {
+            username: 'fitness_fan',
+            rating: 4,
+            comment: 'Good quality, but the cap is a bit tight.',
+            date: new Date('2025-09-10'),
+            status: 'Approved'
+          }
+        ],
+        tags: ['eco-friendly', 'insulated', 'reusable', 'bpa-free', 'sustainable'],
+        status: 'Active',
+        featured: true,
+        discount: {
+          percentage: 20,
+          validUntil: new Date('2025-10-31')
+        }
+      }
+    ];
+
+    const products = await Product.insertMany(sampleProducts.map(({ reviews, ...product }) => product));
+    
+    const sampleReviews = sampleProducts.flatMap(({ reviews = [] }, i) =>
+      reviews.map(review => ({ ...review, product: products[i]._id })));
+    await Review.insertMany(sampleReviews);
+    for (const product of products) {
+      await refreshRatingSummary(product._id);
+    }
+    
+    console.log('✅ Sample data inserted successfully');
+    console.log(`📦 ${sampleProducts.length} products added to catalog`);
+    console.log(`⭐ ${sampleReviews.length} reviews added`);
+  } catch (error) {
+    console.error('❌ Error generating sample data:', error);
+  }
+}
+
+// ====================================
+// HELPERS
+// ====================================
+
+// Fields that can be edited through PUT/PATCH /api/products/:id
+// (variants and reviews are managed through their own endpoints)
+const UPDATABLE_PRODUCT_FIELDS = [
+  'name',
+  'description',
+  'basePrice',
+  'currency',
+  'category',
+  'subcategory',
+  'brand',
+  'specifications',
+  'tags',
+  'mainImage',
+  'additionalImages',
+  'status',
+  'featured',
+  'discount'
+];
+
+// Nested objects that PATCH merges key by key instead of replacing
+const MERGEABLE_PRODUCT_FIELDS = ['specifications', 'discount'];
+
+// Fields that can be edited through PATCH /api/products/:id/variants/:sku
+// (the SKU identifies the variant and stock has its own endpoint)
+const UPDATABLE_VARIANT_FIELDS = [
+  'color',
+  'size',
+  'additionalPrice',
+  'images',
+  'weight',
+  'reorderPoint',
+  'reorderQuantity',
+  'attributes'
+];
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+// Recursively merge plain objects; arrays and scalars from the patch replace the base value
+const deepMerge = (base, patch) => {
+  if (!isPlainObject(base) || !isPlainObject(patch)) return patch;
+  
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = deepMerge(base[key], value);
+  }
+  return merged;
+};
+
+// Raised for malformed query parameters; controllers answer it with 400
+class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidQueryError';
+  }
+}
+
+// Variant criteria for `attr[name]=value` filters. Comma-separated values match any of them;
+// values that read as numbers or booleans also match attributes stored with that type.
+const parseAttributeFilters = (attr) => {
+  if (attr === undefined) return {};
+  if (!isPlainObject(attr)) throw new InvalidQueryError('Attribute filters must look like attr[name]=value');
+  
+  const criteria = {};
+  for (const [name, raw] of Object.entries(attr)) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) throw new InvalidQueryError(`Invalid attribute name "${name}"`);
+    
+    const values = String(raw).split(',').map(value => value.trim()).filter(Boolean).flatMap(value => {
+      if (value === 'true' || value === 'false') return [value, value === 'true'];
+      return Number.isNaN(Number(value)) ? [value] : [value, Number(value)];
+    });
+    if (values.length === 0) continue;
+    
+    criteria[BUILT_IN_VARIANT_ATTRIBUTES.includes(name) ? name : `attributes.${name}`] = { $in: values };
+  }
+  return criteria;
+};
+
+// Conditions that a single variant must satisfy together. `location` keeps variants carried
+// at that location (and makes inStock mean in stock there); `shipsFrom` keeps variants in stock
+// at any of the listed locations. Stock at inactive locations never counts.
+const buildVariantCriteria = ({ color, size, inStock, attr, location, shipsFrom }) => {
+  const criteria = {};
+  if (color) criteria.color = color;
+  if (size) criteria.size = size;
+  
+  const sellable = { active: { $ne: false } };
+  const levels = [];
+  if (location) {
+    levels.push({ code: parseLocationCodes(location)[0], ...sellable, ...(inStock === 'true' && { stock: { $gt: 0 } }) });
+  } else if (inStock === 'true') {
+    levels.push({ stock: { $gt: 0 }, ...sellable });
+  }
+  if (shipsFrom) levels.push({ code: { $in: parseLocationCodes(shipsFrom) }, stock: { $gt: 0 }, ...sellable });
+  if (levels.length === 1) criteria.inventory = { $elemMatch: levels[0] };
+  if (levels.length > 1) criteria.inventory = { $all: levels.map(level => ({ $elemMatch: level })) };
+  
+  return { ...criteria, ...parseAttributeFilters(attr) };
+};
+
+// Translate variant criteria into an aggregation expression evaluated against `variable`.
+// Array fields such as inventory may use $elemMatch, or $all of several $elemMatch.
+const buildVariantFilterExpression = (criteria, variable) => {
+  const anyElementMatches = (path, elementCriteria) => ({
+    $anyElementTrue: [{
+      $map: {
+        input: { $ifNull: [path, []] },
+        as: 'element',
+        in: buildVariantFilterExpression(elementCriteria, '$$element')
+      }
+    }]
+  });
+  
+  const conditions = Object.entries(criteria).map(([field, condition]) => {
+    const path = `${variable}.${field}`;
+    if (isPlainObject(condition) && condition.$elemMatch) {
+      return anyElementMatches(path, condition.$elemMatch);
+    }
+    if (isPlainObject(condition) && condition.$all) {
+      return { $and: condition.$all.map(({ $elemMatch }) => anyElementMatches(path, $elemMatch)) };
+    }
+    if (isPlainObject(condition)) {
+      return { $and: Object.entries(condition).map(([operator, value]) => ({ [operator]: [path, value] })) };
+    }
+    return { $eq: [path, condition] };
+  });
+  return { $and: conditions };
+};
+
+// URL-friendly form of a name, e.g. 'Home & Kitchen' -> 'home-and-kitchen'
+const slugify = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Categories are read on every product validation, so they are cached like exchange rates;
+// the category endpoints clear the cache so their own changes apply at once.
+const CATEGORY_CACHE_TTL_MS = 60 * 1000;
+
+let categoryCache = { categories: null, loadedAt: 0 };
+
+// Every category, ordered for display
+const loadCategories = async () => {
+  if (categoryCache.categories && Date.now() - categoryCache.loadedAt < CATEGORY_CACHE_TTL_MS) {
+    return categoryCache.categories;
+  }
+  
+  const categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  categoryCache = { categories, loadedAt: Date.now() };
+  return categories;
+};
+
+const invalidateCategoryCache = () => {
+  categoryCache = { categories: null, loadedAt: 0 };
+};
+
+// Nest a flat, ordered category list under `children`, adding breadcrumbs to each node
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [String(category._id), {
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    sortOrder: category.sortOrder,
+    attributes: category.attributes || [],
+    breadcrumbs: [
+      ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+      { _id: category._id, name: category.name, slug: category.slug }
+    ],
+    children: []
+  }]));
+  
+  const roots = [];
+  for (const category of categories) {
+    const node = nodes.get(String(category._id));
+    const parent = category.parent && nodes.get(String(category.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+// Whether `value` has the JavaScript type an attribute definition asks for
+const matchesAttributeType = (value, type) =>
+  type === 'number' ? typeof value === 'number' && Number.isFinite(value) : typeof value === type;
+
+// Problems with a category's attribute definitions
+const findAttributeDefinitionErrors = (definitions) => {
+  const errors = [];
+  const names = new Set();
+  for (const { name, type = 'string', values = [] } of definitions || []) {
+    if (names.has(name)) errors.push(`Attribute "${name}" is defined twice`);
+    names.add(name);
+    
+    if (BUILT_IN_VARIANT_ATTRIBUTES.includes(name) && type !== 'string') {
+      errors.push(`Attribute "${name}" is stored on the variant as text, so its type must be string`);
+    }
+    if (values.some(value => !matchesAttributeType(value, type))) {
+      errors.push(`Allowed values of "${name}" must all be of type ${type}`);
+    }
+  }
+  return errors;
+};
+
+// Attribute definitions that apply to a category: its own plus those inherited from its
+// ancestors, where a definition closer to the category replaces one of the same name
+const resolveCategoryAttributes = (categories, name) => {
+  const category = categories.find(candidate => candidate.name === name);
+  if (!category) return [];
+  
+  const byId = new Map(categories.map(candidate => [String(candidate._id), candidate]));
+  const chain = [...category.ancestors.map(ancestor => byId.get(String(ancestor._id))), category];
+  
+  const definitions = new Map();
+  for (const link of chain) {
+    for (const definition of (link && link.attributes) || []) {
+      definitions.set(definition.name, { ...definition, category: link.name });
+    }
+  }
+  return [...definitions.values()];
+};
+
+// Check a variant against attribute definitions, returning { path, message } for each problem
+const checkVariantAttributes = (variant, definitions, categoryName) => {
+  const problems = [];
+  const attributes = variant.attributes instanceof Map
+    ? Object.fromEntries(variant.attributes)
+    : { ...(variant.attributes || {}) };
+  
+  for (const { name, type = 'string', values = [], required } of definitions) {
+    const builtIn = BUILT_IN_VARIANT_ATTRIBUTES.includes(name);
+    const path = builtIn ? name : `attributes.${name}`;
+    const value = builtIn ? variant[name] : attributes[name];
+    
+    if (value === undefined || value === null || value === '') {
+      if (required) problems.push({ path, message: `Attribute "${name}" is required for ${categoryName} variants` });
+    } else if (!matchesAttributeType(value, type)) {
+      problems.push({ path, message: `Attribute "${name}" must be a ${type}` });
+    } else if (values.length > 0 && !values.includes(value)) {
+      problems.push({ path, message: `"${value}" is not an allowed ${name}. Allowed: ${values.join(', ')}` });
+    }
+  }
+  
+  for (const name of Object.keys(attributes)) {
+    if (!definitions.some(definition => definition.name === name)) {
+      problems.push({ path: `attributes.${name}`, message: `Attribute "${name}" is not defined for category ${categoryName}` });
+    }
+  }
+  return problems;
+};
+
+// Locations are read on every stock change, so they are cached like categories
+const LOCATION_CACHE_TTL_MS = 60 * 1000;
+
+let locationCache = { locations: null, loadedAt: 0 };
+
+// Every location, in the priority order orders are fulfilled in
+const loadLocations = async () => {
+  if (locationCache.locations && Date.now() - locationCache.loadedAt < LOCATION_CACHE_TTL_MS) {
+    return locationCache.locations;
+  }
+  
+  const locations = await Location.find().sort({ priority: 1, code: 1 }).lean();
+  locationCache = { locations, loadedAt: Date.now() };
+  return locations;
+};
+
+const invalidateLocationCache = () => {
+  locationCache = { locations: null, loadedAt: 0 };
+};
+
+// Upper-cased location codes from a comma-separated query value
+const parseLocationCodes = (value) => String(value).split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+
+// Add each variant's stock at one location as `locationStock`
+const withLocationStock = (product, code) => {
+  const [wanted] = parseLocationCodes(code);
+  return {
+    ...product,
+    variants: product.variants.map(variant => {
+      const level = (variant.inventory || []).find(candidate => candidate.code === wanted && candidate.active !== false);
+      return { ...variant, locationStock: level ? level.stock : 0 };
+    })
+  };
+};
+
+// Per-location stock of a variant for the variant endpoints, narrowed by ?location= or ?shipsFrom=.
+// Inactive locations are listed with their stock but never ship.
+const variantLocationStock = (variant, { location, shipsFrom }) => {
+  const filter = location || shipsFrom;
+  const codes = filter ? parseLocationCodes(filter) : null;
+  const levels = variant.inventory.filter(level => !codes || codes.includes(level.code));
+  
+  return {
+    locations: levels.map(({ code, stock, active }) => ({ code, stock, active })),
+    shipsFrom: levels.filter(level => level.active !== false && level.stock > 0).map(level => level.code)
+  };
+};
+
+// Exchange rates change rarely, so they are read from the database at most this often
+const EXCHANGE_RATE_CACHE_TTL_MS = 60 * 1000;
+
+let exchangeRateCache = { rates: null, loadedAt: 0 };
+
+// Rates keyed by currency, always including BASE_CURRENCY at 1
+const loadExchangeRates = async () => {
+  if (exchangeRateCache.rates && Date.now() - exchangeRateCache.loadedAt < EXCHANGE_RATE_CACHE_TTL_MS) {
+    return exchangeRateCache.rates;
+  }
+  
+  const stored = await ExchangeRate.find().lean();
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const { currency, rate } of stored) rates[currency] = rate;
+  
+  exchangeRateCache = { rates, loadedAt: Date.now() };
+  return rates;
+};
+
+// Validate and store rates given as { EUR: 0.92, ... } per 1 BASE_CURRENCY
+const saveExchangeRates = async (rates, { source = 'manual', actor } = {}) => {
+  const errors = [];
+  if (!isPlainObject(rates) || Object.keys(rates).length === 0) {
+    errors.push('rates must be an object of currency codes to rates');
+  } else {
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        errors.push(`Unsupported currency "${currency}". Allowed: ${SUPPORTED_CURRENCIES.join(', ')}`);
+      } else if (currency === BASE_CURRENCY && rate !== 1) {
+        errors.push(`${BASE_CURRENCY} is the base currency; its rate is always 1`);
+      } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+        errors.push(`Rate for ${currency} must be a positive number`);
+      }
+    }
+  }
+  if (errors.length > 0) return { errors };
+  
+  const entries = Object.entries(rates).filter(([currency]) => currency !== BASE_CURRENCY);
+  if (entries.length > 0) {
+    await ExchangeRate.bulkWrite(entries.map(([currency, rate]) => ({
+      updateOne: {
+        filter: { currency },
+        update: { $set: { rate, source, updatedBy: actor } },
+        upsert: true
+      }
+    })));
+  }
+  
+  exchangeRateCache = { rates: null, loadedAt: 0 };
+  return { errors, rates: await loadExchangeRates() };
+};
+
+// Round an amount to the currency's minor unit
+const roundForCurrency = (amount, currency) => {
+  const factor = 10 ** (CURRENCY_DECIMALS[currency] ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+// Rates plus the currency prices are shown in (null keeps each product's own currency)
+// and the currency price filters and statistics are expressed in
+const loadPricingContext = async (currency) => {
+  if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new InvalidQueryError(`Invalid currency "${currency}". Allowed: ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+  
+  const rates = await loadExchangeRates();
+  if (currency && !rates[currency]) {
+    throw new InvalidQueryError(`No exchange rate loaded for ${currency}`);
+  }
+  
+  return { rates, displayCurrency: currency || null, currency: currency || BASE_CURRENCY };
+};
+
+// Aggregation expression converting a price field from the product's currency into the
+// context currency. Products priced in a currency without a rate evaluate to null.
+const priceInCurrencyExpression = (pricing, field = '$basePrice') => ({
+  $multiply: [field, {
+    $switch: {
+      branches: Object.entries(pricing.rates).map(([currency, rate]) => ({
+        case: { $eq: [{ $ifNull: ['$currency', BASE_CURRENCY] }, currency] },
+        then: pricing.rates[pricing.currency] / rate
+      })),
+      default: null
+    }
+  }]
+});
+
+// Rewrite a serialized product's prices in the display currency, keeping the originals
+const localizeProduct = (product, pricing) => {
+  const from = product.currency || BASE_CURRENCY;
+  const to = pricing.displayCurrency;
+  if (!to || to === from || !pricing.rates[from]) return product;
+  
+  const convert = (amount) => roundForCurrency(Number(amount) * (pricing.rates[to] / pricing.rates[from]), to);
+  
+  return {
+    ...product,
+    currency: to,
+    basePrice: convert(product.basePrice),
+    discountedPrice: convert(product.discountedPrice),
+    variants: (product.variants || []).map(variant => ({
+      ...variant,
+      additionalPrice: convert(variant.additionalPrice || 0),
+      finalPrice: convert(product.basePrice + (variant.additionalPrice || 0))
+    })),
+    originalPrice: { currency: from, basePrice: product.basePrice }
+  };
+};
+
+// Build the product filter shared by the listing endpoints from query parameters.
+// Price bounds are compared in the pricing context's currency when one is given.
+const buildProductQuery = (params, pricing) => {
+  const {
+    category,
+    subcategory,
+    brand,
+    status,
+    featured,
+    minPrice,
+    maxPrice,
+    minRating,
+    search
+  } = params;
+  
+  const query = {};
+  
+  // Filter by category
+  if (category) query.category = category;
+  
+  // Filter by subcategory
+  if (subcategory) query.subcategory = subcategory;
+  
+  // Filter by brand
+  if (brand) query.brand = brand;
+  
+  // Filter by status
+  if (status) query.status = status;
+  
+  // Filter by featured
+  if (featured !== undefined) query.featured = featured === 'true';
+  
+  // Price range filter
+  if ((minPrice || maxPrice) && pricing) {
+    const price = priceInCurrencyExpression(pricing);
+    const bounds = [];
+    if (minPrice) bounds.push({ $gte: [price, parseFloat(minPrice)] });
+    if (maxPrice) bounds.push({ $lte: [price, parseFloat(maxPrice)] });
+    // Products without a rate for their currency can't be compared, so they never match
+    query.$expr = { $and: [{ $ne: [price, null] }, ...bounds] };
+  } else if (minPrice || maxPrice) {
+    query.basePrice = {};
+    if (minPrice) query.basePrice.$gte = parseFloat(minPrice);
+    if (maxPrice) query.basePrice.$lte = parseFloat(maxPrice);
+  }
+  
+  // Minimum average rating of approved reviews
+  if (minRating !== undefined) {
+    const rating = Number(minRating);
+    if (minRating === '' || Number.isNaN(rating) || rating < 0 || rating > 5) {
+      throw new InvalidQueryError('minRating must be a number from 0 to 5');
+    }
+    query['ratingSummary.average'] = { $gte: rating };
+  }
+  
+  // Search in name and description
+  if (search) {
+    query.$text = { $search: search };
+  }
+  
+  // Color, size, stock and attributes must all hold for the same variant
+  const variantCriteria = buildVariantCriteria(params);
+  if (Object.keys(variantCriteria).length > 0) {
+    query.variants = { $elemMatch: variantCriteria };
+  }
+  
+  return query;
+};
+
+// Default price band boundaries for GET /api/products/facets (the last band is open-ended)
+const DEFAULT_PRICE_BANDS = [0, 25, 50, 100, 250, 500];
+
+const parsePriceBands = (value) => {
+  if (value === undefined) return DEFAULT_PRICE_BANDS;
+  
+  const bands = String(value).split(',').map(Number);
+  const ascending = bands.every((band, i) => i === 0 || band > bands[i - 1]);
+  if (bands.length < 2 || bands.some(Number.isNaN) || !ascending) {
+    throw new InvalidQueryError('priceBands must be at least two ascending numbers, e.g. 0,50,100');
+  }
+  return bands;
+};
+
+// Count products per value of `field`, ignoring empty values
+const countByField = (field) => [
+  { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Count products per variant attribute, only looking at variants that satisfy `variantCriteria`
+const countByVariantField = (field, variantCriteria) => {
+  const variantMatch = {};
+  for (const [key, condition] of Object.entries(variantCriteria)) {
+    variantMatch[`variants.${key}`] = condition;
+  }
+  
+  return [
+    { $unwind: '$variants' },
+    { $match: variantMatch },
+    { $match: { [`variants.${field}`]: { $nin: [null, ''] } } },
+    { $group: { _id: { value: `$variants.${field}`, product: '$_id' } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+};
+
+// Build the $facet stage for GET /api/products/facets. Each facet applies every active
+// filter except its own, so the counts show what selecting another value would return.
+// Every name in `attributeNames` gets an `attribute_<name>` facet.
+const buildFacetStage = (params, priceBands, pricing, attributeNames = []) => {
+  // $text can only appear in the first $match, so search is applied before $facet
+  const matchWithout = (...excluded) => {
+    const remaining = { ...params, search: undefined };
+    for (const key of excluded) remaining[key] = undefined;
+    return { $match: buildProductQuery(remaining, pricing) };
+  };
+  const variantCriteriaWithout = (excluded) => buildVariantCriteria({ ...params, [excluded]: undefined });
+  
+  const attributeFacets = {};
+  for (const name of attributeNames) {
+    const remaining = {
+      ...params,
+      search: undefined,
+      attr: Object.fromEntries(Object.entries(params.attr || {}).filter(([key]) => key !== name))
+    };
+    attributeFacets[`attribute_${name}`] = [
+      { $match: buildProductQuery(remaining, pricing) },
+      ...countByVariantField(`attributes.${name}`, buildVariantCriteria(remaining))
+    ];
+  }
+  
+  return {
+    $facet: {
+      ...attributeFacets,
+      total: [matchWithout(), { $count: 'count' }],
+      category: [matchWithout('category'), ...countByField('$category')],
+      subcategory: [matchWithout('subcategory'), ...countByField('$subcategory')],
+      brand: [matchWithout('brand'), ...countByField('$brand')],
+      status: [matchWithout('status'), ...countByField('$status')],
+      color: [matchWithout('color'), ...countByVariantField('color', variantCriteriaWithout('color'))],
+      size: [matchWithout('size'), ...countByVariantField('size', variantCriteriaWithout('size'))],
+      rating: [
+        matchWithout('minRating'),
+        { $group: { _id: { $floor: { $ifNull: ['$ratingSummary.average', 0] } }, count: { $sum: 1 } } },
+        { $sort: { _id: -1 } },
+        { $project: { _id: 0, rating: '$_id', count: 1 } }
+      ],
+      price: [
+        matchWithout('minPrice', 'maxPrice'),
+        {
+          $bucket: {
+            groupBy: pricing ? priceInCurrencyExpression(pricing) : '$basePrice',
+            // The extra upper boundary makes the last band open-ended
+            boundaries: [...priceBands, Number.MAX_VALUE],
+            default: 'belowRange',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]
+    }
+  };
+};
+
+const DEFAULT_SUGGESTION_LIMIT = 10;
+const MAX_SUGGESTION_LIMIT = 25;
+// Products read per suggestion lookup; fuzzy matching only runs over their terms
+const MAX_SUGGESTION_CANDIDATES = 200;
+// Leading characters a fuzzy match has to get right, so its candidates can be found by prefix
+const FUZZY_PREFIX_LENGTH = 2;
+
+const SUGGESTION_WORD_SEPARATOR = /[\s\-_/]+/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lower-cased name, brand, tags and SKUs of a product (document or plain object) and their words
+const buildSuggestionKeys = (product) => {
+  const values = [
+    product.name,
+    product.brand,
+    ...(product.tags || []),
+    ...(product.variants || []).map(variant => variant.sku)
+  ];
+  const keys = new Set();
+  for (const value of values.filter(Boolean)) {
+    const text = String(value).toLowerCase();
+    keys.add(text);
+    text.split(SUGGESTION_WORD_SEPARATOR).filter(Boolean).forEach(word => keys.add(word));
+  }
+  return [...keys];
+};
+
+// Names, brands, tags and SKUs of listed products that have a suggestion key starting with
+// `prefix`, with the number of those products using each. The anchored regex on the
+// lower-cased keys is answered from the suggestionKeys index.
+const findSuggestionTerms = (prefix) => Product.aggregate([
+  {
+    $match: {
+      suggestionKeys: { $regex: `^${escapeRegExp(prefix)}` },
+      status: { $in: ['Active', 'Out of Stock'] }
+    }
+  },
+  { $limit: MAX_SUGGESTION_CANDIDATES },
+  {
+    $project: {
+      terms: {
+        $concatArrays: [
+          [{ type: 'name', value: '$name' }, { type: 'brand', value: '$brand' }],
+          { $map: { input: { $ifNull: ['$tags', []] }, as: 'tag', in: { type: 'tag', value: '$$tag' } } },
+          { $map: { input: '$variants', as: 'variant', in: { type: 'sku', value: '$$variant.sku' } } }
+        ]
+      }
+    }
+  },
+  { $unwind: '$terms' },
+  { $group: { _id: { type: '$terms.type', value: '$terms.value' }, productCount: { $sum: 1 } } },
+  { $project: { _id: 0, type: '$_id.type', value: '$_id.value', productCount: 1 } }
+]);
+
+// Edit distance between two strings (insertions, deletions and substitutions)
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Longer queries tolerate more typos; very short ones must match exactly
+const allowedTypos = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Rank a term against a lower-cased query; lower rank is better, null means no match
+const matchSuggestion = (query, value) => {
+  const text = value.toLowerCase();
+  if (text.startsWith(query)) return { matchType: 'prefix', rank: 0 };
+  
+  const words = text.split(SUGGESTION_WORD_SEPARATOR).filter(Boolean);
+  if (words.some(word => word.startsWith(query))) return { matchType: 'word-prefix', rank: 1 };
+  
+  const typos = allowedTypos(query.length);
+  if (typos === 0) return null;
+  
+  // Compare against word prefixes around the query length so partially typed words still match
+  let distance = Infinity;
+  for (const word of [text, ...words]) {
+    for (let length = query.length - 1; length <= query.length + 1; length++) {
+      distance = Math.min(distance, levenshtein(query, word.slice(0, length)));
+    }
+  }
+  return distance <= typos ? { matchType: 'fuzzy', rank: 1 + distance } : null;
+};
+
+// Raised when a request conflicts with the current state of the data; controllers answer it with 409
+class ConflictError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ConflictError';
+    this.details = details;
+  }
+}
+
+// Raised when a referenced document does not exist; controllers answer it with 404
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Products other than `excludeId` already holding any of `skus`, one entry per conflicting SKU
+const findSkuConflicts = async (skus, excludeId, session = null) => {
+  const wanted = [...new Set(skus.map(sku => String(sku).trim().toUpperCase()))];
+  const query = { 'variants.sku': { $in: wanted } };
+  if (excludeId) query._id = { $ne: excludeId };
+  
+  const products = await Product.find(query).select('name variants.sku').session(session).lean();
+  return products.flatMap(product => product.variants
+    .filter(variant => wanted.includes(variant.sku))
+    .map(variant => ({ sku: variant.sku, productId: product._id, productName: product.name })));
+};
+
+const isSkuDuplicateKeyError = (error) =>
+  error.code === 11000 && Boolean(error.keyPattern && error.keyPattern['variants.sku']);
+
+// Save a product, answering SKUs owned by another product with a ConflictError naming that product.
+// The unique index is what guarantees uniqueness; the lookups only explain a violation.
+const saveProductWithUniqueSkus = async (product, session = null) => {
+  // A SKU repeated within the product conflicts with the product itself
+  const repeated = findDuplicateSkus(product.variants);
+  if (repeated.length > 0) {
+    throw new ConflictError(`Duplicate SKU within product: ${repeated.join(', ')}`,
+      repeated.map(sku => ({ sku, productId: product._id, productName: product.name })));
+  }
+  
+  const ensureAvailable = async (readSession) => {
+    const conflicts = await findSkuConflicts(product.variants.map(variant => variant.sku), product._id, readSession);
+    if (conflicts.length > 0) {
+      throw new ConflictError(`SKU already in use: ${conflicts.map(conflict => conflict.sku).join(', ')}`, conflicts);
+    }
+  };
+  
+  await ensureAvailable(session);
+  try {
+    return await product.save({ session });
+  } catch (error) {
+    if (!isSkuDuplicateKeyError(error)) throw error;
+    // Another write claimed the SKU between the check and the save. A failed write ends the
+    // transaction, so the winner is looked up outside it.
+    await ensureAvailable(null);
+    
+    // The winner may already be gone again; the SKU was still taken when this save ran
+    const sku = error.keyValue && error.keyValue['variants.sku'];
+    throw new ConflictError(`SKU already in use: ${sku || 'unknown'}`, [{ sku, productId: null, productName: null }]);
+  }
+};
+
+// Run `fn(session)` in a transaction; transient errors are retried by withTransaction.
+// Transactions need a replica set (see MONGODB_URI).
+// Catalog events raised inside the transaction are published only once it commits.
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      session.pendingEvents = [];
+      result = await fn(session);
+    });
+    
+    for (const [event, data] of session.pendingEvents) {
+      emitCatalogEvent(event, data);
+    }
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Matches a product whose variant `sku` has at least `quantity` sellable units not held by
+// reservations. $elemMatch cannot compare two fields of the same element, hence $expr.
+const availableStockFilter = (productId, sku, quantity) => ({
+  _id: productId,
+  $expr: {
+    $anyElementTrue: [{
+      $map: {
+        input: '$variants',
+        as: 'variant',
+        in: {
+          $and: [
+            { $eq: ['$$variant.sku', sku] },
+            {
+              $gte: [
+                { $subtract: ['$$variant.stock', { $add: [UNSELLABLE_STOCK_EXPRESSION, { $ifNull: ['$$variant.reserved', 0] }] }] },
+                quantity
+              ]
+            }
+          ]
+        }
+      }
+    }]
+  }
+});
+
+// Location a stock change applies to: the one named by `code`, else the variant's only
+// location, else the default location. Variants held at several locations need a code.
+const resolveStockLocation = (variant, code, locations) => {
+  if (code !== undefined && code !== null) {
+    const [wanted] = parseLocationCodes(code);
+    const location = locations.find(candidate => candidate.code === wanted);
+    if (!location) throw new NotFoundError(`Location ${code} not found`);
+    return location;
+  }
+  
+  if (variant.inventory.length > 1) {
+    throw new InvalidQueryError(`${variant.sku} is stocked at several locations; name the location to change`);
+  }
+  const [level] = variant.inventory;
+  const location = level
+    ? locations.find(candidate => candidate._id.equals(level.location))
+    : locations.find(candidate => candidate.isDefault);
+  if (!location) throw new NotFoundError('No location to apply the stock change to; create a default location first');
+  return location;
+};
+
+// Inventory levels of `variant` after applying `changes` ([{ location, delta }]), as plain objects
+const applyLocationDeltas = (variant, changes) => {
+  const inventory = variant.inventory.map(({ location, code, stock, active }) => ({ location, code, stock, active }));
+  for (const { location, delta } of changes) {
+    let level = inventory.find(candidate => candidate.location.equals(location._id));
+    if (!level) {
+      level = { location: location._id, code: location.code, stock: 0, active: location.active !== false };
+      inventory.push(level);
+    }
+    level.stock += delta;
+  }
+  return inventory;
+};
+
+// Split `quantity` over the active locations holding the variant, in location priority order.
+// Returns [{ location, quantity }], or null when those locations hold too little.
+const allocateStock = (variant, quantity, locations) => {
+  const allocations = [];
+  let remaining = quantity;
+  
+  for (const location of locations) {
+    if (!location.active || remaining === 0) continue;
+    const level = variant.inventory.find(candidate => candidate.location.equals(location._id));
+    const taken = Math.min(level ? level.stock : 0, remaining);
+    if (taken > 0) {
+      allocations.push({ location, quantity: taken });
+      remaining -= taken;
+    }
+  }
+  return remaining === 0 ? allocations : null;
+};
+
+// Allocations as location changes: sign -1 takes the units, 1 returns them
+const allocationChanges = (allocations, sign) =>
+  allocations.map(({ location, quantity }) => ({ location, delta: sign * quantity }));
+
+// Take `quantity` units of a variant for a sale, from its locations in priority order.
+// Resolves to { product, allocations }, or null when unreserved stock or the locations fall short.
+// The read is part of the caller's transaction, so the inventory written back is current.
+const takeStock = async (productId, sku, quantity, session) => {
+  const [current, locations] = await Promise.all([
+    Product.findById(productId).session(session),
+    loadLocations()
+  ]);
+  const variant = current && current.getVariantBySku(sku);
+  const allocations = variant && allocateStock(variant, quantity, locations);
+  if (!allocations) return null;
+  
+  const product = await Product.findOneAndUpdate(
+    availableStockFilter(productId, sku, quantity),
+    {
+      $inc: { 'variants.$[variant].stock': -quantity },
+      $set: { 'variants.$[variant].inventory': applyLocationDeltas(variant, allocationChanges(allocations, -1)) }
+    },
+    { arrayFilters: [{ 'variant.sku': sku }], new: true, session }
+  );
+  return product && { product, allocations };
+};
+
+// Who made the change, for audit records
+const getActor = (req) => (req.user ? req.user.username : 'system');
+
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+// Build a ledger entry from the product document returned by a stock update
+// `locations` lists the per-location changes ([{ location, delta }]) that make up `delta`.
+const buildMovement = (product, sku, delta, { reason, actor, reference, note, locations = [] }) => {
+  const after = product.getVariantBySku(sku).stock;
+  return {
+    product: product._id,
+    sku,
+    before: after - delta,
+    after,
+    delta,
+    locations: locations.map(change => ({ location: change.location._id, code: change.location.code, delta: change.delta })),
+    reason,
+    actor,
+    reference,
+    note
+  };
+};
+
+// Open an alert when stock falls to or below the reorder point, and resolve
+// outstanding alerts once stock climbs back above it
+const syncStockAlerts = async (movements, session) => {
+  const productIds = [...new Set(movements.map(m => String(m.product)))];
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  
+  for (const movement of movements) {
+    const product = products.find(p => p._id.equals(movement.product));
+    const variant = product && product.getVariantBySku(movement.sku);
+    if (!variant) continue;
+    
+    const reorderPoint = variant.reorderPoint || 0;
+    
+    if (movement.before > reorderPoint && movement.after <= reorderPoint) {
+      await StockAlert.create([{
+        product: product._id,
+        productName: product.name,
+        sku: variant.sku,
+        stock: movement.after,
+        reorderPoint,
+        reorderQuantity: variant.reorderQuantity
+      }], { session });
+    } else if (movement.before <= reorderPoint && movement.after > reorderPoint) {
+      await StockAlert.updateMany(
+        { sku: variant.sku, status: { $ne: 'Resolved' } },
+        { $set: { status: 'Resolved', resolvedAt: new Date() } },
+        { session }
+      );
+    }
+  }
+};
+
+const recordInventoryMovements = async (movements, session) => {
+  if (movements.length === 0) return [];
+  
+  const recorded = await InventoryMovement.insertMany(movements, { session });
+  await syncStockAlerts(movements, session);
+  
+  for (const movement of recorded) {
+    emitCatalogEvent('variant.stock_changed', movement, session);
+  }
+  return recorded;
+};
+
+// Validate the body of PUT /api/products/:id/variants/:sku/stock
+const validateStockChange = ({ stock, delta, reason, location }) => {
+  const errors = [];
+  
+  if ((stock === undefined) === (delta === undefined)) {
+    errors.push('Provide either stock (absolute) or delta (relative)');
+  } else if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    errors.push('stock must be a non-negative integer');
+  } else if (delta !== undefined && (!Number.isInteger(delta) || delta === 0)) {
+    errors.push('delta must be a non-zero integer');
+  }
+  
+  if (delta !== undefined && reason === undefined) {
+    errors.push('reason is required for delta adjustments');
+  }
+  if (reason !== undefined && !MANUAL_STOCK_REASONS.includes(reason)) {
+    errors.push(`reason must be one of: ${MANUAL_STOCK_REASONS.join(', ')}`);
+  }
+  if (location !== undefined && (typeof location !== 'string' || !location.trim())) {
+    errors.push('location must be a location code');
+  }
+  
+  return errors;
+};
+
+const parseDateParam = (value, name) => {
+  if (value === undefined) return undefined;
+  
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidQueryError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Price a product is sold at right now: basePrice less its own discount
+const effectiveBasePrice = (product, at = new Date()) =>
+  roundForCurrency(product.basePrice * (1 - getActiveDiscountPercentage(product, at) / 100), product.currency);
+
+const snapshotDiscount = (discount) => ({
+  percentage: (discount && discount.percentage) || 0,
+  validFrom: (discount && discount.validFrom) || null,
+  validUntil: (discount && discount.validUntil) || null
+});
+
+const snapshotPrices = (product) => ({
+  basePrice: product.basePrice,
+  currency: product.currency,
+  discount: snapshotDiscount(product.discount),
+  effectivePrice: effectiveBasePrice(product),
+  variants: Object.fromEntries((product.variants || []).map(variant => [variant.sku, variant.additionalPrice]))
+});
+
+// Price history entries between two snapshots (previous is null for a new product)
+const diffPrices = (previous, current) => {
+  const changes = [];
+  const effectivePrice = { from: previous ? previous.effectivePrice : null, to: current.effectivePrice };
+  const base = { currency: current.currency };
+  
+  if (!previous || previous.basePrice !== current.basePrice) {
+    changes.push({ ...base, field: 'basePrice', from: previous ? previous.basePrice : null, to: current.basePrice, effectivePrice });
+  }
+  if (previous && JSON.stringify(previous.discount) !== JSON.stringify(current.discount)) {
+    changes.push({ ...base, field: 'discount', from: previous.discount, to: current.discount, effectivePrice });
+  }
+  
+  for (const [sku, additionalPrice] of Object.entries(current.variants)) {
+    const before = previous && sku in previous.variants ? previous.variants[sku] : null;
+    if (before !== additionalPrice) {
+      changes.push({ ...base, sku, field: 'additionalPrice', from: before, to: additionalPrice });
+    }
+  }
+  return changes;
+};
+
+// Days covered by the lowest-price figure on GET /api/products/:id/price-history
+const LOWEST_PRICE_WINDOW_DAYS = 30;
+
+// Product price fields as they were before a product-level change; null before the product existed
+const undoPriceChange = (fields, change) => {
+  if (change.field === 'basePrice' && change.from === null) return null;
+  return { ...fields, [change.field]: change.from };
+};
+
+// Lowest effective price in force from `start` until now, given the product's current price
+// fields and its product-level changes since `start` (oldest first). A scheduled discount
+// counts from the moment its window opens, which is not a save and so not a recorded change.
+const lowestEffectivePrice = (product, changes, start, now = new Date()) => {
+  // Walk back from the current fields, one span per set of fields in force
+  const spans = [];
+  let fields = { basePrice: product.basePrice, currency: product.currency, discount: product.discount };
+  let end = now;
+  for (const change of [...changes].reverse()) {
+    spans.push({ fields, start: change.createdAt, end });
+    end = change.createdAt;
+    fields = undoPriceChange(fields, change);
+    if (!fields) break;
+  }
+  if (fields) spans.push({ fields, start, end });
+  
+  // Within a span the price only moves when the discount window opens or closes
+  const prices = spans.flatMap(span => {
+    const { validFrom, validUntil } = span.fields.discount || {};
+    return [span.start, validFrom, validUntil]
+      .filter(at => at && at >= span.start && at <= span.end)
+      .map(at => effectiveBasePrice(span.fields, at));
+  });
+  return Math.min(...prices);
+};
+
+// Products whose effective price is lower now than it was at `since`. Candidates are products
+// with product-level price changes since then and products whose discount window opened since
+// then; a window that only closed raised the price.
+const findPriceDroppedProductIds = async (since, now = new Date()) => {
+  const changedIds = await PriceChange.distinct('product', { createdAt: { $gte: since }, sku: null });
+  const products = await Product.find({
+    $or: [
+      { _id: { $in: changedIds } },
+      { 'discount.validFrom': { $gt: since, $lte: now } }
+    ]
+  }).select('basePrice currency discount').lean();
+  
+  const changes = await PriceChange.find({
+    product: { $in: products.map(product => product._id) },
+    sku: null,
+    createdAt: { $gte: since }
+  }).sort({ createdAt: -1, _id: -1 }).lean();
+  
+  const changesByProduct = new Map();
+  for (const change of changes) {
+    const key = String(change.product);
+    if (!changesByProduct.has(key)) changesByProduct.set(key, []);
+    changesByProduct.get(key).push(change);
+  }
+  
+  return products
+    .filter(product => {
+      // Roll the current fields back through the changes since `since`, newest first
+      const before = (changesByProduct.get(String(product._id)) || [])
+        .reduce((fields, change) => fields && undoPriceChange(fields, change), product);
+      return before && effectiveBasePrice(product, now) < effectiveBasePrice(before, since);
+    })
+    .map(product => product._id);
+};
+
+// Most operations accepted by one POST /api/inventory/bulk request
+const MAX_BULK_OPERATIONS = 1000;
+
+// Validate one bulk operation: { sku, stock | delta, location, additionalPrice, reason, note }
+const validateBulkOperation = (op) => {
+  if (!isPlainObject(op)) return ['Operation must be an object'];
+  
+  const errors = [];
+  const { sku, stock, delta, additionalPrice } = op;
+  
+  if (!sku || typeof sku !== 'string') errors.push('sku is required');
+  if (stock === undefined && delta === undefined && additionalPrice === undefined) {
+    errors.push('Provide stock, delta or additionalPrice');
+  }
+  if (stock !== undefined || delta !== undefined) {
+    errors.push(...validateStockChange({ stock, delta, reason: op.reason, location: op.location }));
+  } else if (op.reason !== undefined || op.location !== undefined) {
+    errors.push('reason and location only apply to stock changes');
+  }
+  if (additionalPrice !== undefined && (typeof additionalPrice !== 'number' || !Number.isFinite(additionalPrice) || additionalPrice < 0)) {
+    errors.push('additionalPrice must be a non-negative number');
+  }
+  return errors;
+};
+
+const parseReservationTtl = (value) => {
+  if (value === undefined) return RESERVATION_TTL_SECONDS;
+  
+  const ttl = Number(value);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_RESERVATION_TTL_SECONDS) {
+    throw new InvalidQueryError(`ttlSeconds must be an integer between 1 and ${MAX_RESERVATION_TTL_SECONDS}`);
+  }
+  return ttl;
+};
+
+// End an active reservation and return its quantity to available stock
+const releaseReservation = async (reservationId, status, session) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'Active' },
+    { $set: { status, endedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!reservation) return null;
+  
+  await Product.updateOne(
+    { _id: reservation.product },
+    { $inc: { 'variants.$[variant].reserved': -reservation.quantity } },
+    { arrayFilters: [{ 'variant.sku': reservation.sku, 'variant.reserved': { $gte: reservation.quantity } }], session }
+  );
+  return reservation;
+};
+
+// Release every reservation whose hold has run out
+const releaseExpiredReservations = async () => {
+  const expired = await Reservation.find({ status: 'Active', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(500);
+  
+  for (const { _id } of expired) {
+    await runInTransaction(session => releaseReservation(_id, 'Expired', session));
+  }
+  return expired.length;
+};
+
+// ------------------------------------
+// Webhooks
+// ------------------------------------
+
+// Signature header format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const signWebhookPayload = (secret, body, timestamp) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// For receivers: check a delivery's X-Catalog-Signature header against the raw request body
+const verifyWebhookSignature = (secret, body, header, toleranceSeconds = 300) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+  
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// POST a JSON body and resolve to the response status code
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  
+  const request = transport.request(target, {
+    method: 'POST',
+    timeout: WEBHOOK_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'ecommerce-catalog-webhooks/1.0',
+      ...headers
+    }
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+  
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Make one delivery attempt, scheduling a retry with exponential backoff on failure
+const attemptWebhookDelivery = async (deliveryId) => {
+  const now = new Date();
+  
+  // Claim the delivery by pushing its next attempt past the request timeout
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'Pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS), lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+  
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription || !subscription.active) {
+    delivery.status = 'Failed';
+    delivery.lastError = 'Subscription is missing or inactive';
+    return delivery.save();
+  }
+  
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  try {
+    const statusCode = await postJson(subscription.url, body, {
+      'X-Catalog-Event': delivery.event,
+      'X-Catalog-Delivery': String(delivery._id),
+      'X-Catalog-Signature': `t=${timestamp},v1=${signWebhookPayload(subscription.secret, body, timestamp)}`
+    });
+    
+    delivery.responseStatus = statusCode;
+    if (statusCode >= 200 && statusCode < 300) {
+      delivery.status = 'Succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+      return delivery.save();
+    }
+    delivery.lastError = `Receiver responded with ${statusCode}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.lastError = error.message;
+  }
+  
+  if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'Failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+  }
+  return delivery.save();
+};
+
+// Attempt every pending delivery that is due
+const dispatchPendingWebhooks = async () => {
+  const due = await WebhookDelivery.find({ status: 'Pending', nextAttemptAt: { $lte: new Date() } })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+  
+  for (const { _id } of due) {
+    await attemptWebhookDelivery(_id);
+  }
+  return due.length;
+};
+
+const queueWebhookDeliveries = async (event, data, subscriptionFilter = {}) => {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    events: { $in: [event, '*'] },
+    ...subscriptionFilter
+  }).select('_id');
+  
+  if (subscriptions.length === 0) return [];
+  
+  // Store a plain snapshot (virtuals included) so later changes don't alter the payload
+  const payload = JSON.parse(JSON.stringify(data));
+  const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscription: subscription._id,
+    event,
+    payload,
+    nextAttemptAt: new Date()
+  })));
+  
+  await Promise.all(deliveries.map(delivery => attemptWebhookDelivery(delivery._id)));
+  return deliveries;
+};
+
+// Publish a catalog event to webhook subscribers. Inside runInTransaction the event waits for
+// the commit. Never throws: a webhook problem must not fail the request that caused it.
+const emitCatalogEvent = (event, data, session) => {
+  if (session && session.pendingEvents) {
+    session.pendingEvents.push([event, data]);
+    return;
+  }
+  
+  queueWebhookDeliveries(event, data)
+    .catch(error => console.error(`❌ Error queueing webhook event ${event}:`, error));
+};
+
+// Stock-driven status flips are published as their own events
+const emitStatusChangeEvent = (productId, { from, to }, session) => {
+  if (to === 'Out of Stock') {
+    emitCatalogEvent('product.out_of_stock', { productId, from, to }, session);
+  } else if (from === 'Out of Stock' && to === 'Active') {
+    emitCatalogEvent('product.back_in_stock', { productId, from, to }, session);
+  }
+};
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// Discount percentage in effect for a product at the given time
+const getActiveDiscountPercentage = (product, at = new Date()) => {
+  const { discount } = product;
+  if (!discount || !discount.percentage) return 0;
+  if (discount.validFrom && discount.validFrom > at) return 0;
+  if (discount.validUntil && discount.validUntil < at) return 0;
+  return discount.percentage;
+};
+
+// Promotions that are switched on and inside their window at the given time
+const loadActivePromotions = (at = new Date(), session = null) => Promotion.find({
+  active: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+  ]
+}).session(session).lean();
+
+// Coupon code lookup: the active promotion with this code, or null
+const findCoupon = (promotions, code) => {
+  if (!code) return null;
+  const normalized = String(code).trim().toUpperCase();
+  return promotions.find(promotion => promotion.code === normalized) || null;
+};
+
+const promotionTargets = (promotion, product, variant) => {
+  const { products = [], categories = [], brands = [], skus = [] } = promotion.appliesTo || {};
+  if (products.length + categories.length + brands.length + skus.length === 0) return true;
+  
+  return products.some(id => product._id.equals(id)) ||
+    categories.includes(product.category) ||
+    brands.includes(product.brand) ||
+    skus.includes(variant.sku);
+};
+
+// Discount off one unit at `price`, in the product's currency (null if it can't be converted)
+const promotionUnitDiscount = (promotion, price, currency, rates) => {
+  if (promotion.type === 'percentage') return (price * promotion.value) / 100;
+  
+  if (promotion.currency === currency) return Math.min(promotion.value, price);
+  if (!rates[promotion.currency] || !rates[currency]) return null;
+  return Math.min((promotion.value * rates[currency]) / rates[promotion.currency], price);
+};
+
+// Itemized price of `quantity` units of a variant. The product's own discount counts as an
+// exclusive promotion; the customer gets whichever is larger of the best exclusive promotion
+// and all stackable promotions combined (percentages first, then fixed amounts).
+const priceVariant = (product, variant, { quantity = 1, promotions = [], coupon = null, rates = {}, at = new Date() } = {}) => {
+  const currency = product.currency || BASE_CURRENCY;
+  const unitPrice = product.basePrice + (variant.additionalPrice || 0);
+  
+  const candidates = promotions.filter(promotion =>
+    (!promotion.code || (coupon && coupon._id.equals(promotion._id))) &&
+    promotionTargets(promotion, product, variant));
+  
+  const productDiscount = getActiveDiscountPercentage(product, at);
+  if (productDiscount > 0) {
+    candidates.push({
+      name: 'Product discount',
+      type: 'percentage',
+      value: productDiscount,
+      stackable: false
+    });
+  }
+  
+  // Apply promotions in order to a running unit price, returning the adjustments made
+  const apply = (list) => {
+    let remaining = unitPrice;
+    const adjustments = [];
+    for (const promotion of list) {
+      const discount = promotionUnitDiscount(promotion, remaining, currency, rates);
+      if (!discount) continue;
+      remaining -= discount;
+      adjustments.push({ promotion, unitDiscount: discount });
+    }
+    return { adjustments, unitDiscount: unitPrice - remaining };
+  };
+  
+  const options = candidates.filter(promotion => !promotion.stackable).map(promotion => apply([promotion]));
+  options.push(apply([
+    ...candidates.filter(promotion => promotion.stackable && promotion.type === 'percentage'),
+    ...candidates.filter(promotion => promotion.stackable && promotion.type === 'fixed')
+  ]));
+  const best = options.reduce((a, b) => (b.unitDiscount > a.unitDiscount ? b : a));
+  
+  const adjustments = best.adjustments.map(({ promotion, unitDiscount }) => ({
+    promotion: promotion._id,
+    name: promotion.name,
+    code: promotion.code,
+    type: promotion.type,
+    value: promotion.value,
+    amount: roundForCurrency(unitDiscount * quantity, currency)
+  }));
+  const subtotal = roundForCurrency(unitPrice * quantity, currency);
+  const discountAmount = roundForCurrency(adjustments.reduce((acc, adj) => acc + adj.amount, 0), currency);
+  
+  return {
+    sku: variant.sku,
+    currency,
+    unitPrice,
+    quantity,
+    subtotal,
+    adjustments,
+    discountAmount,
+    total: roundForCurrency(subtotal - discountAmount, currency)
+  };
+};
+
+// Price one order line: basePrice + additionalPrice, less the best promotions
+const buildOrderItem = (product, variant, quantity, pricingOptions) => {
+  const price = priceVariant(product, variant, { ...pricingOptions, quantity });
+  
+  return {
+    product: product._id,
+    productName: product.name,
+    sku: variant.sku,
+    color: variant.color,
+    size: variant.size,
+    quantity,
+    unitPrice: price.unitPrice,
+    discountPercentage: price.subtotal > 0 ? roundPrice((price.discountAmount / price.subtotal) * 100) : 0,
+    discountAmount: price.discountAmount,
+    promotions: price.adjustments.map(({ promotion, name, code, amount }) => ({ promotion, name, code, amount })),
+    lineTotal: price.total
+  };
+};
+
+// Validate the requested order lines and merge repeated SKUs into a single line
+// (lines drawing on a reservation stay separate)
+const parseOrderLines = (items) => {
+  const errors = [];
+  const lines = new Map();
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ['Order must have at least one item'], lines: [] };
+  }
+  
+  items.forEach((item, index) => {
+    const { productId, sku, quantity, reservationId } = item || {};
+    
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push(`Item ${index}: invalid productId`);
+    } else if (!sku || typeof sku !== 'string') {
+      errors.push(`Item ${index}: sku is required`);
+    } else if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Item ${index}: quantity must be a positive integer`);
+    } else if (reservationId !== undefined && !mongoose.Types.ObjectId.isValid(reservationId)) {
+      errors.push(`Item ${index}: invalid reservationId`);
+    } else {
+      const normalizedSku = sku.trim().toUpperCase();
+      const key = `${productId}:${normalizedSku}:${reservationId || ''}`;
+      const line = lines.get(key) || {
+        productId: String(productId),
+        sku: normalizedSku,
+        reservationId: reservationId && String(reservationId),
+        quantity: 0
+      };
+      line.quantity += quantity;
+      lines.set(key, line);
+    }
+  });
+  
+  return { errors, lines: [...lines.values()] };
+};
+
+// Customers only see and change their own reservations; staff see every cart's
+const reservationOwnerFilter = (user) => (isStaff(user) ? {} : { userId: user.id });
+
+// Whether a reservation can cover an order line or commit request right now
+const canUseReservation = (reservation, { productId, sku, quantity }) =>
+  Boolean(reservation) &&
+  reservation.status === 'Active' &&
+  reservation.expiresAt > new Date() &&
+  reservation.product.equals(productId) &&
+  reservation.sku === sku &&
+  reservation.quantity >= quantity;
+
+// Turn a hold into a sale: stock drops by `quantity` and the whole hold leaves `reserved`.
+// The units are taken from the variant's locations in priority order. Resolves to the
+// committed reservation, updated product and allocations, or null if any guard fails.
+const commitReservation = async (reservation, quantity, session) => {
+  const committed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'Active' },
+    { $set: { status: 'Committed', endedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!committed) return null;
+  
+  const [current, locations] = await Promise.all([
+    Product.findById(reservation.product).session(session),
+    loadLocations()
+  ]);
+  const variant = current && current.getVariantBySku(reservation.sku);
+  const allocations = variant && allocateStock(variant, quantity, locations);
+  if (!allocations) return null;
+  
+  const product = await Product.findOneAndUpdate(
+    {
+      _id: reservation.product,
+      variants: { $elemMatch: { sku: reservation.sku, stock: { $gte: quantity }, reserved: { $gte: reservation.quantity } } }
+    },
+    {
+      $inc: { 'variants.$[variant].stock': -quantity, 'variants.$[variant].reserved': -reservation.quantity },
+      $set: { 'variants.$[variant].inventory': applyLocationDeltas(variant, allocationChanges(allocations, -1)) }
+    },
+    { arrayFilters: [{ 'variant.sku': reservation.sku }], new: true, session }
+  );
+  return product && { reservation: committed, product, allocations };
+};
+
+// Weighted star total of a product's histogram, for computing the average in an update pipeline
+const RATING_SUM_EXPRESSION = {
+  $add: [1, 2, 3, 4, 5].map(star => ({
+    $multiply: [star, { $ifNull: [`$ratingSummary.histogram.${star}`, 0] }]
+  }))
+};
+
+// Add (delta 1) or remove (delta -1) an approved review's rating from the product summary.
+// The pipeline update changes the histogram, count and average in one atomic write; pass the
+// session of the review write so both commit together.
+const adjustRatingSummary = (productId, rating, delta, session = null) => {
+  const star = `ratingSummary.histogram.${rating}`;
+  
+  return Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        [star]: { $add: [{ $ifNull: [`$${star}`, 0] }, delta] },
+        'ratingSummary.count': { $add: [{ $ifNull: ['$ratingSummary.count', 0] }, delta] }
+      }
+    },
+    {
+      $set: {
+        'ratingSummary.average': {
+          $cond: [
+            { $gt: ['$ratingSummary.count', 0] },
+            { $round: [{ $divide: [RATING_SUM_EXPRESSION, '$ratingSummary.count'] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ], { timestamps: false, session });
+};
+
+// Recompute a product's rating summary from its approved reviews (migrations and repairs)
+const refreshRatingSummary = async (productId) => {
+  const counts = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'Approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const { _id: rating, count: n } of counts) {
+    histogram[rating] = n;
+    count += n;
+    sum += rating * n;
+  }
+  
+  const ratingSummary = {
+    average: count > 0 ? Math.round((sum / count) * 100) / 100 : 0,
+    count,
+    histogram
+  };
+  await Product.updateOne({ _id: productId }, { $set: { ratingSummary } }, { timestamps: false });
+  return ratingSummary;
+};
+
+// Reviews stored before helpfulScore existed get it from their vote counts.
+// Resolves to the number of reviews changed; safe to re-run.
+const backfillReviewHelpfulScores = async () => {
+  const { modifiedCount } = await Review.updateMany(
+    { helpfulScore: { $exists: false } },
+    [{ $set: { helpfulScore: { $subtract: [{ $ifNull: ['$helpfulCount', 0] }, { $ifNull: ['$notHelpfulCount', 0] }] } } }]
+  );
+  return modifiedCount;
+};
+
+// Products stored before rating summaries existed get an empty one, so rating sorts, cursors
+// and minRating see 0 rather than a missing field. Resolves to the number of products changed.
+const backfillRatingSummaries = async () => {
+  const { modifiedCount } = await Product.collection.updateMany(
+    { 'ratingSummary.average': { $exists: false } },
+    { $set: { ratingSummary: { average: 0, count: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } } } }
+  );
+  return modifiedCount;
+};
+
+// Move reviews embedded in product documents into the reviews collection.
+// Safe to re-run: reviews keep their _id and already-moved ones are skipped.
+const migrateEmbeddedReviews = async () => {
+  const report = { products: 0, migrated: 0, skipped: 0 };
+  // The reviews path is no longer in the schema, so read and clear it through the driver
+  const cursor = Product.collection.find(
+    { 'reviews.0': { $exists: true } },
+    { projection: { reviews: 1 } }
+  );
+  
+  for await (const product of cursor) {
+    const ops = product.reviews.map(({ _id, ...review }) => ({
+      updateOne: {
+        filter: { _id },
+        update: {
+          $setOnInsert: {
+            ...review,
+            product: product._id,
+            // Embedded reviews that predate moderation were already public
+            status: review.status || 'Approved',
+            helpfulCount: review.helpfulCount || 0,
+            notHelpfulCount: review.notHelpfulCount || 0,
+            helpfulScore: (review.helpfulCount || 0) - (review.notHelpfulCount || 0)
+          }
+        },
+        upsert: true
+      }
+    }));
+    
+    let inserted = 0;
+    let duplicates = 0;
+    try {
+      const result = await Review.collection.bulkWrite(ops, { ordered: false });
+      inserted = result.upsertedCount;
+    } catch (error) {
+      // A user who already has a review in the new collection keeps that one
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(err => err.code !== 11000)) throw error;
+      inserted = error.result.nUpserted !== undefined ? error.result.nUpserted : error.result.upsertedCount;
+      duplicates = writeErrors.length;
+    }
+    
+    await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+    await refreshRatingSummary(product._id);
+    
+    report.products += 1;
+    report.migrated += inserted;
+    report.skipped += ops.length - inserted;
+    if (duplicates > 0) {
+      console.warn(`⚠️  ${duplicates} review(s) on product ${product._id} duplicated an existing review by the same user`);
+    }
+  }
+  
+  return report;
+};
+
+// ------------------------------------
+// Catalog import and export
+// ------------------------------------
+
+// CSV layout: one row per variant, rows sharing a productKey form one product.
+// Product columns may be left blank after a product's first row. Specifications
+// are only carried by JSON Lines.
+const CATALOG_CSV_COLUMNS = [
+  'productKey', 'name', 'description', 'category', 'subcategory', 'brand',
+  'basePrice', 'currency', 'mainImage', 'additionalImages', 'tags', 'status', 'featured',
+  'discountPercentage', 'discountValidFrom', 'discountValidUntil',
+  'sku', 'color', 'size', 'stock', 'additionalPrice', 'reorderPoint', 'reorderQuantity',
+  'variantImages', 'weightValue', 'weightUnit', 'attributes'
+];
+const CSV_PRODUCT_COLUMNS = CATALOG_CSV_COLUMNS.slice(1, CATALOG_CSV_COLUMNS.indexOf('sku'));
+// Separator for list values (images, tags) inside one CSV cell
+const CSV_LIST_SEPARATOR = '|';
+const CATALOG_FORMATS = ['csv', 'jsonl'];
+const MAX_IMPORT_BYTES = '10mb';
+
+// Split CSV text into records of fields (RFC 4180: quoted fields may hold commas,
+// doubled quotes and line breaks)
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (inQuotes) throw new InvalidQueryError('CSV has an unterminated quoted field');
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Skip blank lines
+  return records.filter(r => r.length > 1 || r[0] !== '');
+};
+
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const splitList = (value) => value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+// Keep only the fields an import may set; ids, timestamps, reservations and ratings are the server's
+const pickImportFields = (data) => {
+  const product = {};
+  for (const field of UPDATABLE_PRODUCT_FIELDS) {
+    if (data[field] !== undefined) product[field] = data[field];
+  }
+  if (Array.isArray(data.variants)) {
+    product.variants = data.variants.map(variant => {
+      const picked = {};
+      for (const field of ['sku', 'stock', ...UPDATABLE_VARIANT_FIELDS]) {
+        if (variant && variant[field] !== undefined) picked[field] = variant[field];
+      }
+      return picked;
+    });
+  }
+  return product;
+};
+
+// Group CSV records into import items: { key, rows, variantRows, data, errors }.
+// Values stay strings so the schema casts them and reports what it can't cast.
+const csvToImportItems = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !CATALOG_CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new InvalidQueryError(`Unknown CSV column(s): ${unknown.join(', ')}. Allowed: ${CATALOG_CSV_COLUMNS.join(', ')}`);
+  }
+  if (!columns.includes('sku')) throw new InvalidQueryError('CSV must have a sku column');
+  
+  const items = new Map();
+  
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const values = {};
+    columns.forEach((column, i) => {
+      const value = (record[i] || '').trim();
+      if (value !== '') values[column] = value;
+    });
+    
+    const key = values.productKey || values.name || `row-${row}`;
+    const item = items.get(key) || { key, rows: [], variantRows: [], data: { variants: [] }, errors: [] };
+    items.set(key, item);
+    item.rows.push(row);
+    
+    // Product columns come from the group's first row that fills them, and must agree after that
+    const product = {
+      name: values.name,
+      description: values.description,
+      category: values.category,
+      subcategory: values.subcategory,
+      brand: values.brand,
+      basePrice: values.basePrice,
+      currency: values.currency,
+      mainImage: values.mainImage,
+      additionalImages: values.additionalImages && splitList(values.additionalImages),
+      tags: values.tags && splitList(values.tags),
+      status: values.status,
+      featured: values.featured
+    };
+    if (values.discountPercentage || values.discountValidFrom || values.discountValidUntil) {
+      product.discount = {
+        percentage: values.discountPercentage,
+        validFrom: values.discountValidFrom,
+        validUntil: values.discountValidUntil
+      };
+    }
+    
+    for (const [field, value] of Object.entries(product)) {
+      if (value === undefined) continue;
+      if (item.data[field] === undefined) {
+        item.data[field] = value;
+      } else if (JSON.stringify(item.data[field]) !== JSON.stringify(value)) {
+        item.errors.push({ row, field, message: `${field} differs from an earlier row of product "${key}"` });
+      }
+    }
+    
+    const variant = {
+      sku: values.sku,
+      color: values.color,
+      size: values.size,
+      stock: values.stock,
+      additionalPrice: values.additionalPrice,
+      reorderPoint: values.reorderPoint,
+      reorderQuantity: values.reorderQuantity,
+      images: values.variantImages && splitList(values.variantImages)
+    };
+    if (values.weightValue || values.weightUnit) {
+      variant.weight = { value: values.weightValue, unit: values.weightUnit };
+    }
+    // Attributes keep their types, so the cell holds a JSON object
+    if (values.attributes) {
+      let attributes;
+      try {
+        attributes = JSON.parse(values.attributes);
+      } catch (error) {
+        attributes = undefined;
+      }
+      if (isPlainObject(attributes)) {
+        variant.attributes = attributes;
+      } else {
+        item.errors.push({ row, field: 'attributes', message: 'attributes must be a JSON object, e.g. {"storage":"256GB","ram":8}' });
+      }
+    }
+    item.data.variants.push(Object.fromEntries(Object.entries(variant).filter(([, value]) => value !== undefined)));
+    item.variantRows.push(row);
+  });
+  
+  return [...items.values()];
+};
+
+// One product per line, shaped like the POST /api/products body
+const jsonlToImportItems = (text) => {
+  const items = [];
+  
+  text.split(/\r?\n/).forEach((line, index) => {
+    const row = index + 1;
+    if (line.trim() === '') return;
+    
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      items.push({ key: `line-${row}`, rows: [row], variantRows: [], data: {}, errors: [{ row, message: `Invalid JSON: ${error.message}` }] });
+      return;
+    }
+    
+    if (!isPlainObject(data)) {
+      items.push({ key: `line-${row}`, rows: [row], variantRows: [], data: {}, errors: [{ row, message: 'Each line must be a JSON object' }] });
+      return;
+    }
+    
+    const picked = pickImportFields(data);
+    items.push({
+      key: data.name || `line-${row}`,
+      rows: [row],
+      variantRows: (picked.variants || []).map(() => row),
+      data: picked,
+      errors: []
+    });
+  });
+  
+  return items;
+};
+
+// Attribute schema errors to the row of the variant they concern
+const mapImportErrors = (item, error) => {
+  if (error.name !== 'ValidationError') {
+    return [{ row: item.rows[0], message: error.message }];
+  }
+  
+  return Object.entries(error.errors)
+    // Mongoose reports both the array item and its field; keep the field-level message
+    .filter(([path]) => !/^variants\.\d+$/.test(path) || Object.keys(error.errors).every(other => !other.startsWith(`${path}.`)))
+    .map(([path, err]) => {
+      const match = path.match(/^variants\.(\d+)/);
+      const row = match && item.variantRows[Number(match[1])] !== undefined ? item.variantRows[Number(match[1])] : item.rows[0];
+      return { row, field: path, message: err.message };
+    });
+};
+
+// Validate one import item and, unless dryRun, create or update its product.
+// Products are matched by SKU: an item whose SKUs belong to an existing product updates it.
+const importProduct = async (item, { dryRun, actor }) => {
+  const errors = [...item.errors];
+  const variants = item.data.variants || [];
+  
+  const skus = variants.map(variant => String(variant.sku || '').trim().toUpperCase());
+  skus.forEach((sku, i) => {
+    const row = item.variantRows[i];
+    if (!sku) errors.push({ row, field: 'sku', message: 'sku is required to import a variant' });
+    else if (skus.indexOf(sku) !== i) errors.push({ row, field: 'sku', message: `SKU ${sku} appears twice in this product` });
+  });
+  if (variants.length === 0) errors.push({ row: item.rows[0], field: 'variants', message: 'Product must have at least one variant' });
+  if (errors.length > 0) return { key: item.key, action: 'error', productId: null, errors };
+  
+  // The read, the save and the stock changes share one transaction, so orders and
+  // reservations placed meanwhile are never overwritten with values from an earlier read
+  try {
+    return await runInTransaction(session => applyImportItem(item, skus, { dryRun, actor, session }));
+  } catch (error) {
+    const result = { key: item.key, action: 'error', productId: null, errors: [] };
+    if (error.name === 'ConflictError') {
+      result.errors.push(...error.details.map(conflict => ({
+        row: item.variantRows[skus.indexOf(conflict.sku)],
+        field: 'sku',
+        message: conflict.productId
+          ? `SKU ${conflict.sku} already belongs to product ${conflict.productId} (${conflict.productName})`
+          : `SKU ${conflict.sku} is already in use`
+      })));
+    } else {
+      result.errors.push(...mapImportErrors(item, error));
+    }
+    return result;
+  }
+};
+
+// Body of importProduct, run inside its transaction. Fields are saved on the document; stock
+// changes to existing variants are applied afterwards with the same guarded $inc as the stock
+// endpoints, and every stock change, including the initial stock of new variants, is recorded.
+const applyImportItem = async (item, skus, { dryRun, actor, session }) => {
+  const result = { key: item.key, action: 'error', productId: null, errors: [] };
+  
+  const matches = await Product.find({ 'variants.sku': { $in: skus } }).session(session);
+  if (matches.length > 1) {
+    result.errors.push({
+      row: item.rows[0],
+      field: 'sku',
+      message: `SKUs belong to different existing products (${matches.map(p => p._id).join(', ')})`
+    });
+    return result;
+  }
+  
+  let product = matches[0];
+  const stockChanges = [];
+  const locations = await loadLocations();
+  
+  if (!product) {
+    product = new Product(item.data);
+    result.action = 'create';
+  } else {
+    result.action = 'update';
+    const { variants: incoming, ...fields } = item.data;
+    
+    if (fields.status !== undefined && fields.status !== product.status && !canChangeStatus(product.status, fields.status)) {
+      result.errors.push({ row: item.rows[0], field: 'status', message: `Cannot change status from ${product.status} to ${fields.status}` });
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      product.set(field, MERGEABLE_PRODUCT_FIELDS.includes(field)
+        ? deepMerge(product.toObject({ virtuals: false })[field] || {}, value)
+        : value);
+    }
+    
+    incoming.forEach((data, i) => {
+      const existing = product.getVariantBySku(skus[i]);
+      if (!existing) {
+        product.variants.push(data);
+        return;
+      }
+      
+      const row = item.variantRows[i];
+      const { sku, stock, inventory, ...rest } = data;
+      existing.set(rest);
+      if (inventory !== undefined) {
+        result.errors.push({
+          row,
+          field: 'inventory',
+          message: `Per-location stock of ${existing.sku} cannot be imported; use stock, the stock endpoints or transfers`
+        });
+      }
+      if (stock === undefined || Number(stock) === existing.stock) return;
+      
+      if (!Number.isInteger(Number(stock)) || Number(stock) < 0) {
+        result.errors.push({ row, field: 'stock', message: `Stock for ${existing.sku} must be a non-negative integer` });
+        return;
+      }
+      // The imported figure is the variant's stock at its single location
+      let location;
+      try {
+        location = resolveStockLocation(existing, undefined, locations);
+      } catch (error) {
+        result.errors.push({ row, field: 'stock', message: error.message });
+        return;
+      }
+      
+      const delta = Number(stock) - existing.stock;
+      if (location.active && existing.available + delta < 0) {
+        result.errors.push({
+          row,
+          field: 'stock',
+          message: `Stock for ${existing.sku} cannot go below the ${existing.reserved} unit(s) reserved`
+        });
+        return;
+      }
+      stockChanges.push({ sku: existing.sku, location, delta });
+    });
+  }
+  
+  try {
+    await product.validate();
+  } catch (error) {
+    result.errors.push(...mapImportErrors(item, error));
+  }
+  
+  result.productId = product._id;
+  if (result.errors.length > 0) {
+    result.action = 'error';
+    return result;
+  }
+  if (dryRun) return result;
+  
+  const addedSkus = product.variants.filter(variant => product.isNew || variant.isNew).map(variant => variant.sku);
+  product.$locals.actor = actor;
+  await saveProductWithUniqueSkus(product, session);
+  
+  const movements = addedSkus
+    .map(sku => product.getVariantBySku(sku))
+    .filter(variant => variant.stock > 0)
+    .map(variant => buildMovement(product, variant.sku, variant.stock, {
+      reason: 'import',
+      actor,
+      note: 'Initial stock from catalog import',
+      locations: variant.inventory.map(level => ({ location: { _id: level.location, code: level.code }, delta: level.stock }))
+    }));
+  
+  let latest = product;
+  for (const { sku, location, delta } of stockChanges) {
+    const changes = [{ location, delta }];
+    const updated = await Product.findOneAndUpdate(
+      delta < 0 && location.active ? availableStockFilter(product._id, sku, -delta) : { _id: product._id, 'variants.sku': sku },
+      {
+        $inc: { 'variants.$[variant].stock': delta },
+        $set: { 'variants.$[variant].inventory': applyLocationDeltas(product.getVariantBySku(sku), changes) }
+      },
+      { arrayFilters: [{ 'variant.sku': sku }], new: true, session }
+    );
+    // The variant was read in this transaction, so the guard can only fail if that read was wrong
+    if (!updated) throw new Error(`Expected ${sku} to have enough unreserved stock for the import`);
+    
+    movements.push(buildMovement(updated, sku, delta, {
+      reason: 'import',
+      actor,
+      note: 'Stock set by catalog import',
+      locations: changes
+    }));
+    latest = updated;
+  }
+  
+  await recordInventoryMovements(movements, session);
+  emitCatalogEvent(result.action === 'create' ? 'product.created' : 'product.updated', latest, session);
+  
+  return result;
+};
+
+// Import a CSV or JSON Lines catalog, returning a report with one entry per input row
+const importCatalog = async (text, format, { dryRun = false, actor = 'system' } = {}) => {
+  const items = format === 'csv' ? csvToImportItems(text) : jsonlToImportItems(text);
+  const summary = { products: items.length, created: 0, updated: 0, failed: 0, rows: 0 };
+  const rows = [];
+  
+  for (const item of items) {
+    const result = await importProduct(item, { dryRun, actor });
+    
+    if (result.action === 'create') summary.created += 1;
+    else if (result.action === 'update') summary.updated += 1;
+    else summary.failed += 1;
+    
+    for (const [i, row] of item.rows.entries()) {
+      // CSV items have one row per variant; a JSON line holds the whole product
+      const variant = item.rows.length === item.variantRows.length ? item.data.variants[i] : undefined;
+      rows.push({
+        row,
+        productKey: item.key,
+        sku: variant && variant.sku ? String(variant.sku).toUpperCase() : undefined,
+        action: result.action,
+        productId: result.action === 'error' ? undefined : result.productId,
+        errors: result.errors.filter(error => error.row === row || error.row === undefined)
+      });
+    }
+  }
+  
+  summary.rows = rows.length;
+  rows.sort((a, b) => a.row - b.row);
+  return { dryRun, format, summary, rows };
+};
+
+const productToCsvRows = (product) => product.variants.map(variant => {
+  const values = {
+    productKey: product._id,
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    subcategory: product.subcategory,
+    brand: product.brand,
+    basePrice: product.basePrice,
+    currency: product.currency,
+    mainImage: product.mainImage,
+    additionalImages: (product.additionalImages || []).join(CSV_LIST_SEPARATOR),
+    tags: (product.tags || []).join(CSV_LIST_SEPARATOR),
+    status: product.status,
+    featured: product.featured,
+    discountPercentage: product.discount && product.discount.percentage,
+    discountValidFrom: product.discount && product.discount.validFrom,
+    discountValidUntil: product.discount && product.discount.validUntil,
+    sku: variant.sku,
+    color: variant.color,
+    size: variant.size,
+    stock: variant.stock,
+    additionalPrice: variant.additionalPrice,
+    reorderPoint: variant.reorderPoint,
+    reorderQuantity: variant.reorderQuantity,
+    variantImages: (variant.images || []).join(CSV_LIST_SEPARATOR),
+    weightValue: variant.weight && variant.weight.value,
+    weightUnit: variant.weight && variant.weight.unit,
+    attributes: variant.attributes && Object.keys(variant.attributes).length > 0
+      ? JSON.stringify(variant.attributes)
+      : undefined
+  };
+  return CATALOG_CSV_COLUMNS.map(column => csvEscape(values[column])).join(',') + '\n';
+});
+
+// Stream the products matching `query` to `write`, which returns a promise that
+// resolves once the chunk may be followed by more (so slow readers apply backpressure)
+const exportCatalog = async (query, format, write) => {
+  let count = 0;
+  if (format === 'csv') await write(CATALOG_CSV_COLUMNS.join(',') + '\n');
+  
+  const cursor = Product.find(query).sort({ _id: 1 }).lean().cursor();
+  for await (const product of cursor) {
+    if (format === 'csv') {
+      for (const row of productToCsvRows(product)) await write(row);
+    } else {
+      const { __v, ratingSummary, ...data } = product;
+      await write(JSON.stringify(data) + '\n');
+    }
+    count += 1;
+  }
+  return count;
+};
+
+const parseCatalogFormat = (value, fallback) => {
+  const format = String(value || fallback || '').toLowerCase();
+  if (!CATALOG_FORMATS.includes(format)) {
+    throw new InvalidQueryError(`format must be one of: ${CATALOG_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+// Page size for GET /api/products
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Sort keys accepted by GET /api/products?sort=, mapped to the field sorted on
+const PRODUCT_SORT_FIELDS = {
+  basePrice: 'basePrice',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  name: 'name',
+  rating: 'ratingSummary.average',
+  averageRating: 'ratingSummary.average',
+  score: 'searchScore'
+};
+
+// Fields computed in the listing pipeline because they are not stored on the document
+const COMPUTED_SORT_FIELDS = {
+  searchScore: { $meta: 'textScore' }
+};
+
+const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_PAGE_LIMIT;
+  
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new InvalidQueryError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_PAGE_LIMIT);
+};
+
+// Parse "sort=-basePrice,name" into [[field, direction], ...] ending with _id as tie-breaker
+const parseSort = (value, { hasSearch = false, fields = PRODUCT_SORT_FIELDS, defaultSort } = {}) => {
+  // Text searches default to relevance order
+  const fallback = defaultSort || (hasSearch ? '-score' : '-createdAt');
+  const tokens = value ? String(value).split(',').map(t => t.trim()).filter(Boolean) : [fallback];
+  const sortSpec = [];
+  
+  for (const token of tokens) {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const key = token.replace(/^[-+]/, '');
+    const field = fields[key];
+    
+    if (!field) {
+      throw new InvalidQueryError(
+        `Cannot sort by "${key}". Allowed: ${Object.keys(fields).join(', ')}`
+      );
+    }
+    if (field === 'searchScore' && !hasSearch) {
+      throw new InvalidQueryError('Sorting by score requires a search term');
+    }
+    if (!sortSpec.some(([existing]) => existing === field)) {
+      sortSpec.push([field, direction]);
+    }
+  }
+  
+  sortSpec.push(['_id', sortSpec[sortSpec.length - 1][1]]);
+  return sortSpec;
+};
+
+const sortSpecKey = (sortSpec) => sortSpec.map(([field, direction]) => (direction < 0 ? '-' : '') + field).join(',');
+
+// Cursors are base64url JSON holding the sort key and the last document's sort values.
+// Dates and ObjectIds are tagged so they survive the round trip.
+const encodeCursor = (sortSpec, doc) => {
+  const values = sortSpec.map(([field]) => {
+    const value = field.split('.').reduce((parent, key) => (parent == null ? parent : parent[key]), doc);
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value;
+  });
+  return Buffer.from(JSON.stringify({ s: sortSpecKey(sortSpec), v: values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortSpec) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidQueryError('Invalid cursor');
+  }
+  
+  if (!payload || !Array.isArray(payload.v)) {
+    throw new InvalidQueryError('Invalid cursor');
+  }
+  if (payload.s !== sortSpecKey(sortSpec) || payload.v.length !== sortSpec.length) {
+    throw new InvalidQueryError('Cursor was issued for a different sort order');
+  }
+  
+  return payload.v.map(value => {
+    if (value && value.$date) return new Date(value.$date);
+    if (value && value.$oid) {
+      if (!mongoose.Types.ObjectId.isValid(value.$oid)) throw new InvalidQueryError('Invalid cursor');
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return value;
+  });
+};
+
+// Keyset condition selecting documents that sort strictly after the cursor position
+const buildCursorMatch = (sortSpec, values) => ({
+  $or: sortSpec.map(([field, direction], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[sortSpec[j][0]] = values[j];
+    }
+    clause[field] = { [direction === 1 ? '$gt' : '$lt']: values[i] };
+    return clause;
+  })
+});
+
+// ====================================
+// AUTHENTICATION
+// ====================================
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Issue an HS256 JWT (for scripts and tests; tokens normally come from the identity provider)
+const signJwt = (claims, secret = JWT_SECRET, expiresInSeconds = 60 * 60) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ iat: now, exp: now + expiresInSeconds, ...claims })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Verify an HS256 JWT and return its claims, or null if it is malformed, forged or expired
+const verifyJwt = (token, secret = JWT_SECRET) => {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+  
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+    
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+    
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && claims.exp <= now) return null;
+    if (claims.nbf !== undefined && claims.nbf > now) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+const resolveApiKey = async (key) => {
+  if (ADMIN_API_KEY && safeEqual(key, ADMIN_API_KEY)) {
+    return { id: 'bootstrap-admin', username: 'bootstrap-admin', role: 'admin', authType: 'apiKey' };
+  }
+  
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { keyHash: hashApiKey(key), active: true },
+    { $set: { lastUsedAt: new Date() } }
+  );
+  if (!apiKey) return null;
+  
+  return { id: String(apiKey._id), username: apiKey.name, role: apiKey.role, authType: 'apiKey' };
+};
+
+const resolveJwt = (token) => {
+  const claims = JWT_SECRET && verifyJwt(token);
+  if (!claims || !claims.sub || !ROLES.includes(claims.role)) return null;
+  
+  return { id: String(claims.sub), username: claims.username || String(claims.sub), role: claims.role, authType: 'jwt' };
+};
+
+// Identify the caller from an X-API-Key header or a Bearer JWT. Requests without
+// credentials continue anonymously; invalid credentials are rejected with 401.
+const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    
+    if (!apiKey && !bearer) return next();
+    
+    req.user = apiKey ? await resolveApiKey(apiKey) : resolveJwt(bearer);
+    
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired credentials'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error authenticating request',
+      error: error.message
+    });
+  }
+};
+
+// Require an authenticated caller, optionally with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+  
+  if (roles.length > 0 && !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+const requireAuth = requireRole();
+const requireStaff = requireRole(...STAFF_ROLES);
+const requireAdmin = requireRole('admin');
+
+// ====================================
+// CONTROLLERS - Business Logic
+// ====================================
+
+// Create new product
+const createProduct = async (req, res) => {
+  try {
+    // In a transaction so a concurrent deleteCategory can't remove the product's category
+    const savedProduct = await runInTransaction(async (session) => {
+      const product = new Product(req.body);
+      product.$locals.actor = getActor(req);
+      await saveProductWithUniqueSkus(product, session);
+      emitCatalogEvent('product.created', product, session);
+      return product;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: savedProduct
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating product',
+      error: error.message
+    });
+  }
+};
+
+// Get all products with filters
+const getAllProducts = async (req, res) => {
+  try {
+    const { search, matchingVariants } = req.query;
+    const pricing = await loadPricingContext(req.query.currency);
+    const query = buildProductQuery(req.query, pricing);
+    
+    // "Recently reduced": effective price lower now than at `since` (default 30 days ago)
+    if (req.query.priceDropped === 'true') {
+      const since = parseDateParam(req.query.since, 'since') ||
+        new Date(Date.now() - LOWEST_PRICE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      query._id = { $in: await findPriceDroppedProductIds(since) };
+    }
+    const variantCriteria = buildVariantCriteria(req.query);
+    
+    const limit = parseLimit(req.query.limit);
+    const sortSpec = parseSort(req.query.sort, { hasSearch: Boolean(search) });
+    
+    const pipeline = [{ $match: query }];
+    
+    // Only add computed fields the sort needs, so plain sorts can use the indexes.
+    // The relevance score is always returned for text searches.
+    const computed = {};
+    for (const [field] of sortSpec) {
+      if (COMPUTED_SORT_FIELDS[field]) computed[field] = COMPUTED_SORT_FIELDS[field];
+    }
+    if (search) computed.searchScore = COMPUTED_SORT_FIELDS.searchScore;
+    if (Object.keys(computed).length > 0) pipeline.push({ $addFields: computed });
+    
+    if (req.query.cursor) {
+      pipeline.push({ $match: buildCursorMatch(sortSpec, decodeCursor(req.query.cursor, sortSpec)) });
+    }
+    
+    // Fetch one extra document to know whether another page exists
+    pipeline.push(
+      { $sort: Object.fromEntries(sortSpec) },
+      { $limit: limit + 1 }
+    );
+    
+    // Trim each product down to the variants that satisfied the filters
+    if (matchingVariants === 'true' && Object.keys(variantCriteria).length > 0) {
+      pipeline.push({
+        $addFields: {
+          variants: {
+            $filter: {
+              input: '$variants',
+              as: 'variant',
+              cond: buildVariantFilterExpression(variantCriteria, '$$variant')
+            }
+          }
+        }
+      });
+    }
+    
+    const [docs, total] = await Promise.all([
+      Product.aggregate(pipeline),
+      Product.countDocuments(query)
+    ]);
+    
+    const hasMore = docs.length > limit;
+    const page = docs.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(sortSpec, page[page.length - 1]) : null;
+    
+    const products = page.map(({ searchScore, __v, ...fields }) => {
+      let product = localizeProduct(Product.hydrate(fields).toJSON(), pricing);
+      if (req.query.location) product = withLocationStock(product, req.query.location);
+      if (searchScore !== undefined) product.score = searchScore;
+      return product;
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      limit,
+      hasMore,
+      nextCursor,
+      data: products
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products',
+      error: error.message
+    });
+  }
+};
+
+// Get facet counts for the listing filters
+const getProductFacets = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const priceBands = parsePriceBands(req.query.priceBands);
+    const pricing = await loadPricingContext(req.query.currency);
+    
+    // One facet per attribute defined for the filtered category (with inherited ones) or used
+    // as a filter; each adds a sub-pipeline, so unfiltered requests only get the requested ones
+    const requested = Object.keys(parseAttributeFilters(req.query.attr))
+      .filter(path => path.startsWith('attributes.'))
+      .map(path => path.slice('attributes.'.length));
+    const filteredCategory = req.query.subcategory || req.query.category;
+    const defined = filteredCategory
+      ? resolveCategoryAttributes(await loadCategories(), filteredCategory).map(definition => definition.name)
+      : [];
+    const attributeNames = [...new Set([...defined, ...requested])]
+      .filter(name => !BUILT_IN_VARIANT_ATTRIBUTES.includes(name));
+    
+    const [result] = await Product.aggregate([
+      { $match: search ? { $text: { $search: search } } : {} },
+      buildFacetStage(req.query, priceBands, pricing, attributeNames)
+    ]);
+    
+    // $bucket omits empty bands, so report every band explicitly
+    const price = priceBands.map((min, i) => {
+      const bucket = result.price.find(b => b._id === min);
+      return { min, max: i < priceBands.length - 1 ? priceBands[i + 1] : null, count: bucket ? bucket.count : 0 };
+    });
+    
+    res.status(200).json({
+      success: true,
+      total: result.total[0]?.count || 0,
+      facets: {
+        category: result.category,
+        subcategory: result.subcategory,
+        brand: result.brand,
+        color: result.color,
+        size: result.size,
+        attributes: Object.fromEntries(attributeNames
+          .map(name => [name, result[`attribute_${name}`]])
+          .filter(([, counts]) => counts.length > 0)),
+        status: result.status,
+        rating: result.rating,
+        price,
+        priceCurrency: pricing.currency
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facets',
+      error: error.message
+    });
+  }
+};
+
+// Get type-ahead suggestions over product names, brands, tags and SKUs
+const getSuggestions = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Query parameter q is required'
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTION_LIMIT, MAX_SUGGESTION_LIMIT);
+    
+    // Prefix matches first; typo-tolerant candidates only need their first letters right
+    const terms = new Map();
+    const lookups = [query];
+    if (allowedTypos(query.length) > 0) lookups.push(query.slice(0, FUZZY_PREFIX_LENGTH));
+    for (const prefix of lookups) {
+      for (const term of await findSuggestionTerms(prefix)) {
+        const key = `${term.type}:${term.value}`;
+        if (!terms.has(key)) terms.set(key, term);
+      }
+    }
+    
+    const suggestions = [...terms.values()]
+      .map(term => ({ ...term, match: matchSuggestion(query, term.value) }))
+      .filter(term => term.match)
+      .sort((a, b) =>
+        a.match.rank - b.match.rank ||
+        b.productCount - a.productCount ||
+        a.value.length - b.value.length
+      )
+      .slice(0, limit)
+      .map(({ value, type, productCount, match }) => ({
+        value,
+        type,
+        matchType: match.matchType,
+        productCount
+      }));
+    
+    res.status(200).json({
+      success: true,
+      query,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suggestions',
+      error: error.message
+    });
+  }
+};
+
+// Get product by ID
+const getProductById = async (req, res) => {
+  try {
+    const pricing = await loadPricingContext(req.query.currency);
+    const product = await Product.findById(req.params.id).select('-__v');
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: localizeProduct(product.toJSON(), pricing)
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+      error: error.message
+    });
+  }
+};
+
+// Import products from a CSV or JSON Lines body (?format=csv|jsonl, ?dryRun=true)
+const importProducts = async (req, res) => {
+  try {
+    const contentType = req.get('Content-Type') || '';
+    const format = parseCatalogFormat(req.query.format, contentType.includes('csv') ? 'csv' : 'jsonl');
+    
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the catalog as the request body with Content-Type text/csv or application/x-ndjson'
+      });
+    }
+    
+    const report = await importCatalog(req.body, format, {
+      dryRun: req.query.dryRun === 'true',
+      actor: getActor(req)
+    });
+    
+    res.status(report.summary.failed > 0 ? 422 : 200).json({
+      success: report.summary.failed === 0,
+      message: report.dryRun ? 'Dry run complete, nothing was saved' : 'Import complete',
+      ...report
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products',
+      error: error.message
+    });
+  }
+};
+
+// Stream the filtered catalog as CSV or JSON Lines (?format=csv|jsonl plus the listing filters)
+const exportProducts = async (req, res) => {
+  let streaming = false;
+  try {
+    const format = parseCatalogFormat(req.query.format, 'jsonl');
+    const pricing = await loadPricingContext(req.query.currency);
+    const query = buildProductQuery(req.query, pricing);
+    
+    res.status(200);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="catalog.${format}"`);
+    streaming = true;
+    
+    await exportCatalog(query, format, (chunk) => (
+      res.write(chunk) ? Promise.resolve() : new Promise(resolve => res.once('drain', resolve))
+    ));
+    res.end();
+  } catch (error) {
+    // Once rows have been sent the status can't change, so cut the download short
+    if (streaming) return res.destroy(error);
+    
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting products',
+      error: error.message
+    });
+  }
+};
+
+// Get a product's price changes, newest first, with the lowest price of the last 30 days
+const getPriceHistory = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    
+    const product = await Product.findById(req.params.id).select('basePrice currency discount');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const query = { product: product._id };
+    if (req.query.sku) query.sku = String(req.query.sku).trim().toUpperCase();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    
+    const windowStart = new Date(Date.now() - LOWEST_PRICE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const [changes, windowChanges] = await Promise.all([
+      PriceChange.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit).select('-__v'),
+      PriceChange.find({ product: product._id, sku: null, createdAt: { $gte: windowStart } })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+    ]);
+    
+    const currentPrice = effectiveBasePrice(product);
+    
+    res.status(200).json({
+      success: true,
+      currency: product.currency,
+      currentPrice,
+      lowestPrice30Days: lowestEffectivePrice(product, windowChanges, windowStart),
+      count: changes.length,
+      data: changes
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price history',
+      error: error.message
+    });
+  }
+};
+
+// Update product (PUT replaces all editable fields, PATCH merges the given ones)
+const updateProduct = async (req, res) => {
+  try {
+    // In a transaction so a concurrent deleteCategory can't remove a newly assigned category
+    const updatedProduct = await runInTransaction(async (session) => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) throw new NotFoundError('Product not found');
+      
+      const isPatch = req.method === 'PATCH';
+      // PUT resets omitted fields to their schema defaults
+      const baseline = isPatch
+        ? product.toObject({ virtuals: false })
+        : new Product().toObject({ virtuals: false });
+      
+      for (const field of UPDATABLE_PRODUCT_FIELDS) {
+        const value = req.body[field];
+        
+        // Status follows its own lifecycle, so PUT only changes it when given
+        if (value === undefined) {
+          if (!isPatch && field !== 'status') product.set(field, baseline[field]);
+          continue;
+        }
+        
+        if (isPatch && MERGEABLE_PRODUCT_FIELDS.includes(field)) {
+          product.set(field, deepMerge(baseline[field] || {}, value));
+        } else {
+          product.set(field, value);
+        }
+      }
+      
+      product.$locals.actor = getActor(req);
+      await product.save({ session });
+      emitCatalogEvent('product.updated', product, session);
+      return product;
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: updatedProduct
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating product',
+      error: error.message
+    });
+  }
+};
+
+// Delete product
+const deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findByIdAndDelete(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    await Review.deleteMany({ product: product._id });
+    emitCatalogEvent('product.deleted', product);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully',
+      data: product
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting product',
+      error: error.message
+    });
+  }
+};
+
+// Get products by category
+const getProductsByCategory = async (req, res) => {
+  try {
+    const pricing = await loadPricingContext(req.query.currency);
+    const category = await Category.findByRef(req.params.category);
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    // Products of the category and of every category below it
+    const products = await Product.findByCategory(category);
+    
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      category: category.name,
+      breadcrumbs: category.breadcrumbs,
+      data: products.map(product => localizeProduct(product.toJSON(), pricing))
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products by category',
+      error: error.message
+    });
+  }
+};
+
+// Get specific variant details
+const getVariantBySku = async (req, res) => {
+  try {
+    const { id, sku } = req.params;
+    const pricing = await loadPricingContext(req.query.currency);
+    
+    const product = await Product.findById(id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const variant = product.getVariantBySku(sku);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    const localized = localizeProduct({ ...product.toJSON(), variants: [variant.toJSON()] }, pricing);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        productName: product.name,
+        currency: localized.currency,
+        basePrice: localized.basePrice,
+        variant: localized.variants[0],
+        finalPrice: localized.variants[0].finalPrice,
+        stock: variant.stock,
+        reserved: variant.reserved,
+        available: variant.available,
+        ...variantLocationStock(variant, req.query)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching variant',
+      error: error.message
+    });
+  }
+};
+
+// Resolve a SKU to its product and variant without knowing the product id
+const getSkuLookup = async (req, res) => {
+  try {
+    const pricing = await loadPricingContext(req.query.currency);
+    const product = await Product.findBySku(req.params.sku);
+    const variant = product && product.getVariantBySku(req.params.sku);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'SKU not found'
+      });
+    }
+    
+    const localized = localizeProduct({ ...product.toJSON(), variants: [variant.toJSON()] }, pricing);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          brand: product.brand,
+          category: product.category,
+          subcategory: product.subcategory,
+          status: product.status
+        },
+        currency: localized.currency,
+        basePrice: localized.basePrice,
+        variant: localized.variants[0],
+        finalPrice: localized.variants[0].finalPrice,
+        stock: variant.stock,
+        reserved: variant.reserved,
+        available: variant.available,
+        ...variantLocationStock(variant, req.query)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up SKU',
+      error: error.message
+    });
+  }
+};
+
+// Add variant to existing product
+const addVariant = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variantData = req.body;
+    
+    const product = await Product.findById(id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const existing = variantData.sku && product.getVariantBySku(String(variantData.sku).trim());
+    if (existing) {
+      throw new ConflictError(`SKU already in use: ${existing.sku}`, [
+        { sku: existing.sku, productId: product._id, productName: product.name }
+      ]);
+    }
+    
+    product.variants.push(variantData);
+    product.$locals.actor = getActor(req);
+    await saveProductWithUniqueSkus(product);
+    emitCatalogEvent('variant.added', {
+      productId: product._id,
+      variant: product.variants[product.variants.length - 1]
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: product
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error adding variant',
+      error: error.message
+    });
+  }
+};
+
+// Update variant stock: set an absolute `stock` or apply a relative `delta`
+const updateVariantStock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { stock, delta, note } = req.body;
+    const sku = req.params.sku.toUpperCase();
+    
+    const errors = validateStockChange(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    const reason = req.body.reason || 'correction';
+    
+    const product = await runInTransaction(async (session) => {
+      const [current, locations] = await Promise.all([
+        Product.findOne({ _id: id, 'variants.sku': sku }).session(session),
+        loadLocations()
+      ]);
+      if (!current) throw new NotFoundError('Product or variant not found');
+      
+      // Both forms apply to one location; absolute values become a delta so every change
+      // goes through the same guarded $inc of the variant total
+      const variant = current.getVariantBySku(sku);
+      const location = resolveStockLocation(variant, req.body.location, locations);
+      const level = variant.inventory.find(candidate => candidate.location.equals(location._id));
+      const levelStock = level ? level.stock : 0;
+      const change = stock !== undefined ? stock - levelStock : delta;
+      
+      if (levelStock + change < 0) {
+        throw new ConflictError(`Insufficient stock at ${location.code} for this adjustment`, [{
+          sku,
+          location: location.code,
+          stock: levelStock,
+          delta: change
+        }]);
+      }
+      
+      // Decreases of sellable stock must leave enough to cover reservations
+      const filter = change < 0 && location.active
+        ? availableStockFilter(id, sku, -change)
+        : { _id: id, 'variants.sku': sku };
+      
+      const changes = [{ location, delta: change }];
+      const updated = await Product.findOneAndUpdate(
+        filter,
+        {
+          $inc: { 'variants.$[variant].stock': change },
+          $set: { 'variants.$[variant].inventory': applyLocationDeltas(variant, changes) }
+        },
+        { arrayFilters: [{ 'variant.sku': sku }], new: true, session }
+      );
+      
+      if (!updated) {
+        throw new ConflictError('Insufficient available stock for this adjustment', [{
+          sku,
+          stock: variant.stock,
+          reserved: variant.reserved,
+          available: variant.available,
+          delta: change
+        }]);
+      }
+      
+      if (change !== 0) {
+        await recordInventoryMovements([
+          buildMovement(updated, sku, change, { reason, actor: getActor(req), note, locations: changes })
+        ], session);
+      }
+      
+      return updated;
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: product
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock',
+      error: error.message
+    });
+  }
+};
+
+// Update variant details
+const updateVariant = async (req, res) => {
+  try {
+    const { id, sku } = req.params;
+    
+    const product = await Product.findById(id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const variant = product.getVariantBySku(sku);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    const current = variant.toObject();
+    
+    for (const field of UPDATABLE_VARIANT_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      
+      if (field === 'weight') {
+        variant.set(field, deepMerge(current.weight || {}, value));
+      } else if (field === 'attributes' && isPlainObject(value)) {
+        // Attributes are merged; an attribute set to null is removed
+        const attributes = { ...Object.fromEntries(variant.attributes || []), ...value };
+        variant.set(field, Object.fromEntries(Object.entries(attributes).filter(([, v]) => v !== null)));
+      } else {
+        variant.set(field, value);
+      }
+    }
+    
+    product.$locals.actor = getActor(req);
+    await product.save();
+    emitCatalogEvent('variant.updated', { productId: product._id, variant });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: product
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error updating variant',
+      error: error.message
+    });
+  }
+};
+
+// Delete variant from product
+const deleteVariant = async (req, res) => {
+  try {
+    const { id, sku } = req.params;
+    
+    const product = await Product.findById(id);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+    
+    const variant = product.getVariantBySku(sku);
+    
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    // Same rule as the validator on productSchema.variants
+    if (product.variants.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product must have at least one variant'
+      });
+    }
+    
+    product.variants.pull(variant._id);
+    await product.save();
+    emitCatalogEvent('variant.deleted', { productId: product._id, variant });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Variant deleted successfully',
+      data: product
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting variant',
+      error: error.message
+    });
+  }
+};
+
+// Fields a reviewer supplies; everything else is set by the server
+const REVIEW_INPUT_FIELDS = ['rating', 'comment'];
+
+const pickReviewInput = (body) => {
+  const input = {};
+  for (const field of REVIEW_INPUT_FIELDS) {
+    if (body[field] !== undefined) input[field] = body[field];
+  }
+  return input;
+};
+
+// Sort keys accepted by GET /api/products/:id/reviews?sort=
+const REVIEW_SORT_FIELDS = {
+  date: 'date',
+  rating: 'rating',
+  helpful: 'helpfulScore'
+};
+
+// Named sorts from before cursor pagination, kept with their original meaning
+const REVIEW_SORT_ALIASES = {
+  recent: '-date',
+  helpful: '-helpful,-date',
+  rating: '-rating,-date',
+  rating_asc: 'rating,-date'
+};
+
+// Parse "rating=4,5" into the star ratings to include
+const parseStarFilter = (value) => {
+  const stars = String(value).split(',').map(star => Number(star.trim()));
+  if (stars.some(star => !Number.isInteger(star) || star < 1 || star > 5)) {
+    throw new InvalidQueryError('rating must be a comma-separated list of whole stars from 1 to 5');
+  }
+  return stars;
+};
+
+// Find a review on a product, or throw NotFoundError
+const findReview = async (productId, reviewId, select) => {
+  const query = Review.findOne({ _id: reviewId, product: productId });
+  if (select) query.select(select);
+  
+  const review = await query;
+  if (!review) throw new NotFoundError('Review not found');
+  return review;
+};
+
+const reviewErrorResponse = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  if (error.name === 'InvalidQueryError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+  }
+  
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid product or review ID'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: error.message
+  });
+};
+
+// Add review to product (held for moderation until approved)
+const addReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const product = await Product.exists({ _id: id });
+    if (!product) throw new NotFoundError('Product not found');
+    
+    let review;
+    try {
+      // The author is always the authenticated user, never the request body
+      review = await Review.create({
+        ...pickReviewInput(req.body),
+        product: id,
+        userId: req.user.id,
+        username: req.user.username
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      
+      const own = await Review.findOne({ product: id, userId: req.user.id }).select('_id');
+      throw new ConflictError('You have already reviewed this product; edit your existing review instead', [
+        { reviewId: own && own._id }
+      ]);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted for moderation',
+      data: review
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'adding review');
+  }
+};
+
+// Get a product's approved reviews, a page at a time; staff can list other statuses with ?status=
+const getProductReviews = async (req, res) => {
+  try {
+    const status = req.query.status || 'Approved';
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new InvalidQueryError(`Invalid status "${status}". Allowed: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    if (status !== 'Approved' && !isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff can list unmoderated reviews'
+      });
+    }
+    
+    const limit = parseLimit(req.query.limit);
+    const sort = REVIEW_SORT_ALIASES[req.query.sort] || req.query.sort;
+    const sortSpec = parseSort(sort, { fields: REVIEW_SORT_FIELDS, defaultSort: '-date' });
+    
+    const product = await Product.findById(req.params.id).select('ratingSummary');
+    if (!product) throw new NotFoundError('Product not found');
+    
+    const query = { product: product._id, status };
+    if (req.query.rating !== undefined) query.rating = { $in: parseStarFilter(req.query.rating) };
+    
+    const pageQuery = req.query.cursor
+      ? { $and: [query, buildCursorMatch(sortSpec, decodeCursor(req.query.cursor, sortSpec))] }
+      : query;
+    
+    // Fetch one extra review to know whether another page exists
+    const [docs, total] = await Promise.all([
+      Review.find(pageQuery)
+        .sort(Object.fromEntries(sortSpec))
+        .limit(limit + 1)
+        .select('-__v'),
+      Review.countDocuments(query)
+    ]);
+    
+    const hasMore = docs.length > limit;
+    const reviews = docs.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(sortSpec, reviews[reviews.length - 1]) : null;
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      limit,
+      hasMore,
+      nextCursor,
+      ratingSummary: product.ratingSummary,
+      data: reviews
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'fetching reviews');
+  }
+};
+
+// Edit your own review; the edit goes back into moderation
+const updateReview = async (req, res) => {
+  try {
+    const input = pickReviewInput(req.body);
+    if (Object.keys(input).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Allowed fields: ${REVIEW_INPUT_FIELDS.join(', ')}`
+      });
+    }
+    
+    const review = await findReview(req.params.id, req.params.reviewId);
+    
+    if (review.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+    
+    // Only the request that moves the review out of its current state adjusts the summary
+    const updated = await runInTransaction(async (session) => {
+      const edited = await Review.findOneAndUpdate(
+        { _id: review._id, status: review.status, rating: review.rating },
+        {
+          $set: { ...input, editedAt: new Date(), status: 'Pending' },
+          $unset: { moderatedBy: '', moderatedAt: '', moderationNote: '' }
+        },
+        { new: true, runValidators: true, session }
+      );
+      if (!edited) throw new ConflictError('Review was changed by another request; reload it and try again');
+      
+      if (review.status === 'Approved') await adjustRatingSummary(review.product, review.rating, -1, session);
+      return edited;
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review updated and resubmitted for moderation',
+      data: updated
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'updating review');
+  }
+};
+
+// Delete a review (its author or staff)
+const deleteReview = async (req, res) => {
+  try {
+    const review = await findReview(req.params.id, req.params.reviewId);
+    
+    if (review.userId !== req.user.id && !isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own reviews'
+      });
+    }
+    
+    await runInTransaction(async (session) => {
+      const { deletedCount } = await Review.deleteOne(
+        { _id: review._id, status: review.status, rating: review.rating },
+        { session }
+      );
+      if (deletedCount === 0) throw new ConflictError('Review was changed by another request; reload it and try again');
+      
+      if (review.status === 'Approved') await adjustRatingSummary(review.product, review.rating, -1, session);
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'deleting review');
+  }
+};
+
+// Approve or reject a review (staff)
+const moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be Approved or Rejected'
+      });
+    }
+    
+    const review = await findReview(req.params.id, req.params.reviewId);
+    
+    const updated = await runInTransaction(async (session) => {
+      const moderated = await Review.findOneAndUpdate(
+        { _id: review._id, status: review.status, rating: review.rating },
+        { $set: { status, moderatedBy: req.user.username, moderatedAt: new Date(), moderationNote: note } },
+        { new: true, runValidators: true, session }
+      );
+      if (!moderated) throw new ConflictError('Review was changed by another request; reload it and try again');
+      
+      if (review.status !== status) {
+        if (status === 'Approved') await adjustRatingSummary(review.product, review.rating, 1, session);
+        if (review.status === 'Approved') await adjustRatingSummary(review.product, review.rating, -1, session);
+      }
+      
+      // Subscribers only hear about reviews once they are published
+      if (status === 'Approved' && review.status !== 'Approved') {
+        emitCatalogEvent('review.added', {
+          productId: moderated.product,
+          review: moderated
+        }, session);
+      }
+      return moderated;
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Review ${status.toLowerCase()}`,
+      data: updated
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'moderating review');
+  }
+};
+
+// Vote a review helpful or not helpful; voting again replaces your earlier vote
+const voteReview = async (req, res) => {
+  try {
+    const { helpful } = req.body;
+    if (typeof helpful !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'helpful must be true or false'
+      });
+    }
+    
+    const review = await findReview(req.params.id, req.params.reviewId, '+votes');
+    
+    if (review.status !== 'Approved') throw new NotFoundError('Review not found');
+    if (review.userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+    
+    const previous = review.votes.find(vote => vote.userId === req.user.id);
+    if (previous) {
+      if (previous.helpful !== helpful) {
+        review[previous.helpful ? 'helpfulCount' : 'notHelpfulCount'] -= 1;
+        review[helpful ? 'helpfulCount' : 'notHelpfulCount'] += 1;
+        previous.helpful = helpful;
+      }
+    } else {
+      review.votes.push({ userId: req.user.id, helpful });
+      review[helpful ? 'helpfulCount' : 'notHelpfulCount'] += 1;
+    }
+    review.helpfulScore = review.helpfulCount - review.notHelpfulCount;
+    await review.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Vote recorded',
+      data: {
+        reviewId: review._id,
+        helpfulCount: review.helpfulCount,
+        notHelpfulCount: review.notHelpfulCount,
+        helpfulScore: review.helpfulScore
+      }
+    });
+  } catch (error) {
+    reviewErrorResponse(res, error, 'voting on review');
+  }
+};
+
+// Get product statistics
+const getStatistics = async (req, res) => {
+  try {
+    const totalProducts = await Product.countDocuments();
+    const activeProducts = await Product.countDocuments({ status: 'Active' });
+    
+    const categoryStats = await Product.aggregate([
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    const brandStats = await Product.aggregate([
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    // Prices are converted to one currency before averaging
+    const pricing = await loadPricingContext(req.query.currency);
+    const averagePrice = await Product.aggregate([
+      { $group: { _id: null, avgPrice: { $avg: priceInCurrencyExpression(pricing) } } }
+    ]);
+    
+    // Total stock across all variants
+    const stockStats = await Product.aggregate([
+      { $unwind: '$variants' },
+      { $group: { _id: null, totalStock: { $sum: '$variants.stock' } } }
+    ]);
+    
+    // Approved reviews per star across the catalog, read from the stored summaries
+    const ratingTotals = await Product.aggregate([
+      {
+        $group: {
+          _id: null,
+          reviewCount: { $sum: '$ratingSummary.count' },
+          ratingSum: { $sum: RATING_SUM_EXPRESSION },
+          ratedProducts: { $sum: { $cond: [{ $gt: ['$ratingSummary.count', 0] }, 1, 0] } },
+          1: { $sum: '$ratingSummary.histogram.1' },
+          2: { $sum: '$ratingSummary.histogram.2' },
+          3: { $sum: '$ratingSummary.histogram.3' },
+          4: { $sum: '$ratingSummary.histogram.4' },
+          5: { $sum: '$ratingSummary.histogram.5' }
+        }
+      }
+    ]);
+    
+    // Variants and products per value of each category attribute
+    const attributeStats = await Product.aggregate([
+      { $unwind: '$variants' },
+      { $project: { attribute: { $objectToArray: { $ifNull: ['$variants.attributes', {}] } } } },
+      { $unwind: '$attribute' },
+      {
+        $group: {
+          _id: { name: '$attribute.k', value: '$attribute.v' },
+          variants: { $sum: 1 },
+          products: { $addToSet: '$_id' }
+        }
+      },
+      { $sort: { variants: -1, '_id.value': 1 } },
+      {
+        $group: {
+          _id: '$_id.name',
+          values: { $push: { value: '$_id.value', variants: '$variants', products: { $size: '$products' } } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, name: '$_id', values: 1 } }
+    ]);
+    
+    // Rated products grouped by whole-star average
+    const productRatingStats = await Product.aggregate([
+      { $match: { 'ratingSummary.count': { $gt: 0 } } },
+      { $group: { _id: { $floor: '$ratingSummary.average' }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } },
+      { $project: { _id: 0, rating: '$_id', count: 1 } }
+    ]);
+    
+    const ratings = ratingTotals[0] || { reviewCount: 0, ratingSum: 0, ratedProducts: 0 };
+    
+    res.status(200).json({
+      success: true,
+      statistics: {
+        totalProducts,
+        activeProducts,
+        inactiveProducts: totalProducts - activeProducts,
+        averagePrice: averagePrice[0]?.avgPrice != null
+          ? roundForCurrency(averagePrice[0].avgPrice, pricing.currency)
+          : 0,
+        currency: pricing.currency,
+        totalStock: stockStats[0]?.totalStock || 0,
+        categoryDistribution: categoryStats,
+        brandDistribution: brandStats,
+        attributeDistribution: attributeStats,
+        ratings: {
+          reviewCount: ratings.reviewCount,
+          ratedProducts: ratings.ratedProducts,
+          averageRating: ratings.reviewCount > 0
+            ? Math.round((ratings.ratingSum / ratings.reviewCount) * 100) / 100
+            : 0,
+          starDistribution: [5, 4, 3, 2, 1].map(star => ({ rating: star, count: ratings[star] || 0 })),
+          productDistribution: productRatingStats
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching statistics',
+      error: error.message
+    });
+  }
+};
+
+// Place an order, decrementing every variant's stock in a single transaction
+const createOrder = async (req, res) => {
+  const { errors, lines } = parseOrderLines(req.body.items);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  try {
+    const order = await runInTransaction(async (session) => {
+      const productIds = [...new Set(lines.map(line => line.productId))];
+      const reservationIds = lines.filter(line => line.reservationId).map(line => line.reservationId);
+      
+      // A transaction's session runs one operation at a time, so its reads are sequential
+      const products = await Product.find({ _id: { $in: productIds } }).session(session);
+      const reservations = await Reservation.find({ _id: { $in: reservationIds }, ...reservationOwnerFilter(req.user) }).session(session);
+      const promotions = await loadActivePromotions(new Date(), session);
+      const rates = await loadExchangeRates();
+      
+      const coupon = findCoupon(promotions, req.body.coupon);
+      if (req.body.coupon && !coupon) {
+        throw new ConflictError('Coupon is invalid or has expired', [{ coupon: req.body.coupon }]);
+      }
+      
+      const conflicts = [];
+      const fulfilments = [];
+      
+      for (const line of lines) {
+        const product = products.find(p => p._id.equals(line.productId));
+        const variant = product && product.getVariantBySku(line.sku);
+        const reservation = line.reservationId && reservations.find(r => r._id.equals(line.reservationId));
+        const conflict = { productId: line.productId, sku: line.sku, requested: line.quantity };
+        
+        if (!product) {
+          conflicts.push({ ...conflict, reason: 'Product not found' });
+        } else if (!variant) {
+          conflicts.push({ ...conflict, reason: 'Variant not found' });
+        } else if (['Inactive', 'Discontinued'].includes(product.status)) {
+          conflicts.push({ ...conflict, reason: `Product is ${product.status.toLowerCase()}` });
+        } else if (line.reservationId && !canUseReservation(reservation, line)) {
+          conflicts.push({ ...conflict, reservationId: line.reservationId, reason: 'Reservation is not active for this item' });
+        } else if (!line.reservationId && variant.available < line.quantity) {
+          conflicts.push({ ...conflict, available: variant.available, reason: 'Insufficient stock' });
+        } else {
+          fulfilments.push({
+            item: buildOrderItem(product, variant, line.quantity, { promotions, coupon, rates }),
+            reservation
+          });
+        }
+      }
+      
+      const currencies = [...new Set(products.map(p => p.currency))];
+      if (currencies.length > 1) {
+        conflicts.push({ reason: `Products are priced in different currencies (${currencies.join(', ')})` });
+      }
+      
+      if (conflicts.length > 0) {
+        throw new ConflictError('Order cannot be fulfilled', conflicts);
+      }
+      
+      const orderId = new mongoose.Types.ObjectId();
+      const movements = [];
+      
+      // Guarded decrements: each filter only matches while enough unreserved stock remains,
+      // and the units are allocated to the locations they ship from
+      for (const { item, reservation } of fulfilments) {
+        const taken = reservation
+          ? await commitReservation(reservation, item.quantity, session)
+          : await takeStock(item.product, item.sku, item.quantity, session);
+        
+        if (!taken) {
+          throw new ConflictError('Order cannot be fulfilled', [{
+            productId: String(item.product),
+            sku: item.sku,
+            requested: item.quantity,
+            reason: 'Insufficient stock'
+          }]);
+        }
+        
+        item.allocations = taken.allocations.map(({ location, quantity }) => ({
+          location: location._id,
+          code: location.code,
+          quantity
+        }));
+        movements.push(buildMovement(taken.product, item.sku, -item.quantity, {
+          reason: 'sale',
+          actor: getActor(req),
+          reference: String(orderId),
+          locations: allocationChanges(taken.allocations, -1)
+        }));
+      }
+      
+      await recordInventoryMovements(movements, session);
+      
+      const items = fulfilments.map(({ item }) => item);
+      const currency = currencies[0];
+      const subtotal = roundForCurrency(items.reduce((acc, item) => acc + item.unitPrice * item.quantity, 0), currency);
+      const discountTotal = roundForCurrency(items.reduce((acc, item) => acc + item.discountAmount, 0), currency);
+      
+      // Redeem the coupon only if it discounted something, within its usage limit
+      const couponUsed = coupon && items.some(item => item.promotions.some(p => coupon._id.equals(p.promotion)));
+      if (couponUsed) {
+        const redeemed = await Promotion.updateOne(
+          {
+            _id: coupon._id,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+          },
+          { $inc: { usageCount: 1 } },
+          { session }
+        );
+        if (redeemed.modifiedCount === 0) {
+          throw new ConflictError('Coupon usage limit has been reached', [{ coupon: coupon.code }]);
+        }
+      }
+      
+      const [created] = await Order.create([{
+        _id: orderId,
+        items,
+        currency,
+        subtotal,
+        discountTotal,
+        total: roundForCurrency(subtotal - discountTotal, currency),
+        coupon: couponUsed ? { promotion: coupon._id, code: coupon.code } : undefined,
+        customer: {
+          ...req.body.customer,
+          userId: req.user.id,
+          username: req.user.username
+        }
+      }], { session });
+      
+      return created;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error placing order',
+      error: error.message
+    });
+  }
+};
+
+// Get orders (optionally filtered by status); customers only see their own
+const getOrders = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (!isStaff(req.user)) query['customer.userId'] = req.user.id;
+    
+    const limit = parseLimit(req.query.limit);
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      error: error.message
+    });
+  }
+};
+
+// Get order by ID
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('-__v');
+    
+    // Customers can't tell other people's orders apart from missing ones
+    if (!order || (!isStaff(req.user) && order.customer.userId !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order',
+      error: error.message
+    });
+  }
+};
+
+// Cancel an order and return its items to stock
+const cancelOrder = async (req, res) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      if (!order || (!isStaff(req.user) && order.customer.userId !== req.user.id)) return null;
+      
+      if (order.status !== 'Placed') {
+        throw new ConflictError(`Order is already ${order.status.toLowerCase()}`);
+      }
+      
+      order.status = 'Cancelled';
+      order.cancelledAt = new Date();
+      order.cancellationReason = req.body.reason;
+      await order.save({ session });
+      
+      const notRestocked = [];
+      const movements = [];
+      const locations = await loadLocations();
+      const defaultLocation = locations.find(location => location.isDefault);
+      
+      for (const item of order.items) {
+        const product = await Product.findById(item.product).session(session);
+        const variant = product && product.getVariantBySku(item.sku);
+        
+        // Units go back where they were taken from; orders placed before locations existed,
+        // or whose location has since been removed, restock the default location
+        const allocations = item.allocations.length > 0
+          ? item.allocations
+          : [{ location: null, quantity: item.quantity }];
+        const changes = allocations.map(({ location, quantity }) => ({
+          location: (location && locations.find(candidate => candidate._id.equals(location))) || defaultLocation,
+          delta: quantity
+        }));
+        
+        // The product or variant may have been removed since the order was placed
+        if (!variant || changes.some(change => !change.location)) {
+          notRestocked.push(item.sku);
+          continue;
         }
-      },
-      {
-        name: 'Wireless Bluetooth Headphones',
-        description: 'Premium over-ear headphones with active noise cancellation, 30-hour battery life, and superior sound quality.',
-        basePrice: 199.99,
-        currency: 'USD',
-        category: 'Electronics',
-        subcategory: 'Audio',
-        brand: 'SoundMaster',
-        mainImage: 'https://example.com/images/headphones-main.jpg',
-        additionalImages: [
-          'https://example.com/images/headphones-side.jpg',
-          'https://example.com/images/headphones-case.jpg'
-        ],
-        variants: [
-          {
-            color: 'Black',
-            size: 'One Size',
-            stock: 25,
-            sku: 'HPH-BLK-OS-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/headphones-black.jpg'],
-            weight: { value: 250, unit: 'g' }
-          },
+        
+        const restocked = await Product.findOneAndUpdate(
+          { _id: item.product, 'variants.sku': item.sku },
           {
-            color: 'Silver',
-            size: 'One Size',
-            stock: 15,
-            sku: 'HPH-SLV-OS-001',
-            additionalPrice: 20,
-            images: ['https://example.com/images/headphones-silver.jpg'],
-            weight: { value: 250, unit: 'g' }
+            $inc: { 'variants.$[variant].stock': item.quantity },
+            $set: { 'variants.$[variant].inventory': applyLocationDeltas(variant, changes) }
           },
-          {
-            color: 'Rose Gold',
-            size: 'One Size',
-            stock: 10,
-            sku: 'HPH-RSG-OS-001',
-            additionalPrice: 30,
-            images: ['https://example.com/images/headphones-rosegold.jpg'],
-            weight: { value: 250, unit: 'g' }
+          { arrayFilters: [{ 'variant.sku': item.sku }], new: true, session }
+        );
+        
+        movements.push(buildMovement(restocked, item.sku, item.quantity, {
+          reason: 'order_cancelled',
+          actor: getActor(req),
+          reference: String(order._id),
+          locations: changes
+        }));
+      }
+      
+      await recordInventoryMovements(movements, session);
+      
+      // Give the coupon redemption back
+      if (order.coupon && order.coupon.promotion) {
+        await Promotion.updateOne(
+          { _id: order.coupon.promotion, usageCount: { $gt: 0 } },
+          { $inc: { usageCount: -1 } },
+          { session }
+        );
+      }
+      
+      return { order, notRestocked };
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Order cancelled successfully',
+      notRestocked: result.notRestocked,
+      data: result.order
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling order',
+      error: error.message
+    });
+  }
+};
+
+// Hold variant stock for a cart
+const createReservation = async (req, res) => {
+  try {
+    const { productId, sku, quantity, cartId } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(productId) || !sku || !Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: ['productId, sku and a positive integer quantity are required']
+      });
+    }
+    
+    const ttlSeconds = parseReservationTtl(req.body.ttlSeconds);
+    const normalizedSku = String(sku).trim().toUpperCase();
+    
+    const reservation = await runInTransaction(async (session) => {
+      const product = await Product.findOneAndUpdate(
+        availableStockFilter(productId, normalizedSku, quantity),
+        { $inc: { 'variants.$[variant].reserved': quantity } },
+        { arrayFilters: [{ 'variant.sku': normalizedSku }], new: true, session }
+      );
+      
+      if (!product) {
+        const existing = await Product.findById(productId).session(session);
+        const variant = existing && existing.getVariantBySku(normalizedSku);
+        if (!variant) throw new NotFoundError('Product or variant not found');
+        
+        throw new ConflictError('Insufficient stock', [{
+          productId,
+          sku: normalizedSku,
+          requested: quantity,
+          available: variant.available,
+          reason: 'Insufficient stock'
+        }]);
+      }
+      
+      const [created] = await Reservation.create([{
+        product: productId,
+        sku: normalizedSku,
+        quantity,
+        cartId,
+        userId: req.user.id,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+      }], { session });
+      
+      return created;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock reserved successfully',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error reserving stock',
+      error: error.message
+    });
+  }
+};
+
+// Get reservations (optionally for one cart); customers only see their own
+const getReservations = async (req, res) => {
+  try {
+    const query = reservationOwnerFilter(req.user);
+    if (req.query.cartId) query.cartId = req.query.cartId;
+    if (req.query.status) query.status = req.query.status;
+    
+    const reservations = await Reservation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit))
+      .select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reservations',
+      error: error.message
+    });
+  }
+};
+
+// Get reservation by ID
+const getReservationById = async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ _id: req.params.id, ...reservationOwnerFilter(req.user) }).select('-__v');
+    
+    // Customers can't tell other people's reservations apart from missing ones
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reservation ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reservation',
+      error: error.message
+    });
+  }
+};
+
+// Extend an active reservation (the new expiry is counted from now)
+const extendReservation = async (req, res) => {
+  try {
+    const ttlSeconds = parseReservationTtl(req.body.ttlSeconds);
+    
+    const owner = reservationOwnerFilter(req.user);
+    
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: req.params.id, ...owner, status: 'Active', expiresAt: { $gt: new Date() } },
+      { $set: { expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+      { new: true }
+    );
+    
+    if (!reservation) {
+      const exists = await Reservation.exists({ _id: req.params.id, ...owner });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Reservation is no longer active' : 'Reservation not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Reservation extended successfully',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reservation ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error extending reservation',
+      error: error.message
+    });
+  }
+};
+
+// Release a reservation, returning the held units to available stock
+const releaseReservationById = async (req, res) => {
+  try {
+    const owner = reservationOwnerFilter(req.user);
+    const reservation = await runInTransaction(async (session) => {
+      if (!(await Reservation.exists({ _id: req.params.id, ...owner }).session(session))) return null;
+      return releaseReservation(req.params.id, 'Released', session);
+    });
+    
+    if (!reservation) {
+      const exists = await Reservation.exists({ _id: req.params.id, ...owner });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Reservation is no longer active' : 'Reservation not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Reservation released successfully',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reservation ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing reservation',
+      error: error.message
+    });
+  }
+};
+
+// Commit a reservation, permanently removing the held units from stock
+const commitReservationById = async (req, res) => {
+  try {
+    const reservation = await runInTransaction(async (session) => {
+      const existing = await Reservation.findById(req.params.id).session(session);
+      if (!existing) return null;
+      
+      const request = { productId: existing.product, sku: existing.sku, quantity: existing.quantity };
+      if (!canUseReservation(existing, request)) {
+        throw new ConflictError('Reservation is no longer active');
+      }
+      
+      const committed = await commitReservation(existing, existing.quantity, session);
+      if (!committed) {
+        throw new ConflictError('Variant no longer has the reserved stock');
+      }
+      
+      await recordInventoryMovements([
+        buildMovement(committed.product, existing.sku, -existing.quantity, {
+          reason: 'reservation_committed',
+          actor: getActor(req),
+          reference: String(existing._id),
+          locations: allocationChanges(committed.allocations, -1)
+        })
+      ], session);
+      
+      return committed.reservation;
+    });
+    
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Reservation committed successfully',
+      data: reservation
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reservation ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error committing reservation',
+      error: error.message
+    });
+  }
+};
+
+// Apply stock and surcharge changes to many SKUs in one bulkWrite.
+// Body: { operations: [{ sku, stock | delta, location, additionalPrice, reason, note }], atomic }.
+// Stock changes apply to one location, as on the single-variant stock endpoint.
+// With atomic: true nothing is written unless every operation can be applied; otherwise
+// the valid operations are applied and the rest reported.
+// Responds 200 when every operation was applied, 207 when only some were, and 409 when an
+// atomic request was rejected.
+const bulkUpdateInventory = async (req, res) => {
+  const { operations, atomic = false } = req.body;
+  
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'operations must be a non-empty array'
+    });
+  }
+  if (operations.length > MAX_BULK_OPERATIONS) {
+    return res.status(400).json({
+      success: false,
+      message: `At most ${MAX_BULK_OPERATIONS} operations per request`
+    });
+  }
+  
+  const actor = getActor(req);
+  const batchId = String(new mongoose.Types.ObjectId());
+  
+  try {
+    const results = await runInTransaction(async (session) => {
+      const normalized = operations.map(op => (isPlainObject(op) && typeof op.sku === 'string'
+        ? { ...op, sku: op.sku.trim().toUpperCase() }
+        : op));
+      const skus = normalized.filter(op => op && typeof op.sku === 'string').map(op => op.sku);
+      const [products, locations] = await Promise.all([
+        Product.find({ 'variants.sku': { $in: skus } }).session(session),
+        loadLocations()
+      ]);
+      
+      const itemResults = [];
+      const writes = [];
+      const movements = [];
+      const priceChanges = [];
+      
+      normalized.forEach((op, index) => {
+        const result = { index, sku: op && op.sku };
+        itemResults.push(result);
+        
+        const errors = validateBulkOperation(op);
+        if (errors.length === 0 && skus.indexOf(op.sku) !== skus.lastIndexOf(op.sku)) {
+          errors.push('SKU appears in more than one operation');
+        }
+        if (errors.length > 0) {
+          Object.assign(result, { status: 'rejected', errors });
+          return;
+        }
+        
+        const product = products.find(p => p.getVariantBySku(op.sku));
+        if (!product) {
+          result.status = 'not_found';
+          return;
+        }
+        
+        const variant = product.getVariantBySku(op.sku);
+        const $set = {};
+        const $inc = {};
+        
+        if (op.stock !== undefined || op.delta !== undefined) {
+          let location;
+          try {
+            location = resolveStockLocation(variant, op.location, locations);
+          } catch (error) {
+            Object.assign(result, { status: 'rejected', errors: [error.message] });
+            return;
           }
-        ],
-        specifications: {
-          material: 'Aluminum and Leather',
-          dimensions: {
-            length: 20,
-            width: 18,
-            height: 8,
-            unit: 'cm'
-          },
-          warranty: '2 years manufacturer warranty',
-          manufacturer: 'SoundMaster Technologies',
-          countryOfOrigin: 'Japan'
-        },
-        reviews: [
-          {
-            username: 'audio_enthusiast',
-            rating: 5,
-            comment: 'Best headphones I have ever owned! Crystal clear sound and excellent noise cancellation.',
-            date: new Date('2025-08-10')
-          },
-          {
-            username: 'music_lover',
-            rating: 5,
-            comment: 'Worth every penny. Battery life is amazing!',
-            date: new Date('2025-09-05')
-          },
-          {
-            username: 'tech_reviewer',
-            rating: 4,
-            comment: 'Great sound quality, but a bit heavy for long sessions.',
-            date: new Date('2025-09-25')
+          
+          const level = variant.inventory.find(candidate => candidate.location.equals(location._id));
+          const levelStock = level ? level.stock : 0;
+          const change = op.stock !== undefined ? op.stock - levelStock : op.delta;
+          const after = variant.stock + change;
+          
+          if (levelStock + change < 0) {
+            Object.assign(result, {
+              status: 'rejected',
+              errors: [`Stock at ${location.code} cannot go below 0 (has ${levelStock}, change ${change})`]
+            });
+            return;
           }
-        ],
-        tags: ['wireless', 'bluetooth', 'noise-cancellation', 'premium', 'audio'],
-        status: 'Active',
-        featured: true,
-        discount: {
-          percentage: 15,
-          validUntil: new Date('2025-11-30')
-        }
-      },
-      {
-        name: 'Running Shoes - Pro Series',
-        description: 'Professional running shoes with advanced cushioning technology, breathable mesh, and excellent grip for all terrains.',
-        basePrice: 89.99,
-        currency: 'USD',
-        category: 'Shoes',
-        subcategory: 'Athletic',
-        brand: 'RunFast',
-        mainImage: 'https://example.com/images/shoes-main.jpg',
-        additionalImages: [
-          'https://example.com/images/shoes-side.jpg',
-          'https://example.com/images/shoes-sole.jpg'
-        ],
-        variants: [
-          {
-            color: 'Red',
-            size: 'M',
-            stock: 20,
-            sku: 'SHO-RED-M-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/shoes-red-m.jpg'],
-            weight: { value: 350, unit: 'g' }
-          },
-          {
-            color: 'Red',
-            size: 'L',
-            stock: 18,
-            sku: 'SHO-RED-L-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/shoes-red-l.jpg'],
-            weight: { value: 380, unit: 'g' }
-          },
-          {
-            color: 'Blue',
-            size: 'M',
-            stock: 25,
-            sku: 'SHO-BLU-M-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/shoes-blue-m.jpg'],
-            weight: { value: 350, unit: 'g' }
-          },
-          {
-            color: 'Black',
-            size: 'L',
-            stock: 30,
-            sku: 'SHO-BLK-L-001',
-            additionalPrice: 5,
-            images: ['https://example.com/images/shoes-black-l.jpg'],
-            weight: { value: 380, unit: 'g' }
+          if (location.active && change < 0 && variant.available + change < 0) {
+            Object.assign(result, {
+              status: 'rejected',
+              errors: [`Sellable stock cannot go below the ${variant.reserved} unit(s) reserved (${variant.available} available, change ${change})`]
+            });
+            return;
           }
-        ],
-        specifications: {
-          material: 'Breathable Mesh and Synthetic',
-          dimensions: {
-            length: 30,
-            width: 12,
-            height: 10,
-            unit: 'cm'
-          },
-          warranty: '6 months manufacturer warranty',
-          manufacturer: 'RunFast Sports',
-          countryOfOrigin: 'Vietnam'
-        },
-        reviews: [
-          {
-            username: 'marathon_runner',
-            rating: 5,
-            comment: 'Perfect for long distance running. Very comfortable!',
-            date: new Date('2025-07-20')
+          
+          $inc['variants.$[variant].stock'] = change;
+          $set['variants.$[variant].inventory'] = applyLocationDeltas(variant, [{ location, delta: change }]);
+          
+          result.stock = { before: variant.stock, after, location: location.code };
+          if (change !== 0) {
+            movements.push({
+              product: product._id,
+              sku: op.sku,
+              before: variant.stock,
+              after,
+              delta: change,
+              locations: [{ location: location._id, code: location.code, delta: change }],
+              reason: op.reason || 'correction',
+              actor,
+              reference: batchId,
+              note: op.note
+            });
           }
-        ],
-        tags: ['running', 'sports', 'athletic', 'breathable', 'cushioned'],
-        status: 'Active',
-        featured: false,
-        discount: {
-          percentage: 0,
-          validUntil: null
         }
-      },
-      {
-        name: 'Stainless Steel Water Bottle',
-        description: 'Eco-friendly insulated water bottle that keeps drinks cold for 24 hours and hot for 12 hours. BPA-free and leak-proof.',
-        basePrice: 24.99,
-        currency: 'USD',
-        category: 'Home & Kitchen',
-        subcategory: 'Drinkware',
-        brand: 'EcoHydrate',
-        mainImage: 'https://example.com/images/bottle-main.jpg',
-        additionalImages: [
-          'https://example.com/images/bottle-cap.jpg'
-        ],
-        variants: [
-          {
-            color: 'Silver',
-            size: 'One Size',
-            stock: 100,
-            sku: 'BTL-SLV-OS-001',
-            additionalPrice: 0,
-            images: ['https://example.com/images/bottle-silver.jpg'],
-            weight: { value: 300, unit: 'g' }
-          },
-          {
-            color: 'Matte Black',
-            size: 'One Size',
-            stock: 85,
-            sku: 'BTL-BLK-OS-001',
-            additionalPrice: 3,
-            images: ['https://example.com/images/bottle-black.jpg'],
-            weight: { value: 300, unit: 'g' }
-          },
-          {
-            color: 'Ocean Blue',
-            size: 'One Size',
-            stock: 75,
-            sku: 'BTL-BLU-OS-001',
-            additionalPrice: 3,
-            images: ['https://example.com/images/bottle-blue.jpg'],
-            weight: { value: 300, unit: 'g' }
+        
+        if (op.additionalPrice !== undefined) {
+          $set['variants.$[variant].additionalPrice'] = op.additionalPrice;
+          result.additionalPrice = { before: variant.additionalPrice, after: op.additionalPrice };
+          if (op.additionalPrice !== variant.additionalPrice) {
+            priceChanges.push({
+              product: product._id,
+              sku: op.sku,
+              field: 'additionalPrice',
+              from: variant.additionalPrice,
+              to: op.additionalPrice,
+              currency: product.currency,
+              actor
+            });
           }
-        ],
-        specifications: {
-          material: 'Stainless Steel 304',
-          dimensions: {
-            length: 27,
-            width: 7,
-            height: 7,
-            unit: 'cm'
-          },
-          warranty: '1 year warranty',
-          manufacturer: 'EcoHydrate Inc.',
-          countryOfOrigin: 'China'
-        },
-        reviews: [
-          {
-            username: 'eco_warrior',
-            rating: 5,
-            comment: 'Love this bottle! Keeps my water cold all day.',
-            date: new Date('2025-08-15')
-          },
-          {
-            username: 'fitness_fan',
-            rating: 4,
-            comment: 'Good quality, but the cap is a bit tight.',
-            date: new Date('2025-09-10')
+        }
+        
+        result.status = 'updated';
+        result.productId = product._id;
+        writes.push({
+          updateOne: {
+            filter: { _id: product._id, 'variants.sku': op.sku },
+            update: {
+              ...(Object.keys($set).length > 0 && { $set }),
+              ...(Object.keys($inc).length > 0 && { $inc })
+            },
+            arrayFilters: [{ 'variant.sku': op.sku }]
           }
-        ],
-        tags: ['eco-friendly', 'insulated', 'reusable', 'bpa-free', 'sustainable'],
-        status: 'Active',
-        featured: true,
-        discount: {
-          percentage: 20,
-          validUntil: new Date('2025-10-31')
+        });
+      });
+      
+      const failed = itemResults.some(result => result.status !== 'updated');
+      if (atomic && failed) {
+        throw new ConflictError('No changes applied: some operations could not be applied', itemResults);
+      }
+      
+      if (writes.length > 0) {
+        // The reads above are part of this transaction, so every write still matches its variant
+        const outcome = await Product.bulkWriteAndReconcile(writes, { ordered: true, session });
+        if (outcome.matchedCount !== writes.length) {
+          throw new Error(`Expected ${writes.length} variants to update, matched ${outcome.matchedCount}`);
+        }
+        
+        await recordInventoryMovements(movements, session);
+        if (priceChanges.length > 0) await PriceChange.insertMany(priceChanges, { session });
+        
+        for (const change of priceChanges) {
+          emitCatalogEvent('variant.updated', {
+            productId: change.product,
+            sku: change.sku,
+            additionalPrice: change.to
+          }, session);
+        }
+      }
+      
+      return itemResults;
+    });
+    
+    const summary = {
+      requested: results.length,
+      updated: results.filter(r => r.status === 'updated').length,
+      notFound: results.filter(r => r.status === 'not_found').length,
+      rejected: results.filter(r => r.status === 'rejected').length
+    };
+    
+    const complete = summary.updated === summary.requested;
+    res.status(complete ? 200 : 207).json({
+      success: complete,
+      message: `${summary.updated} of ${summary.requested} operation(s) applied`,
+      atomic: Boolean(atomic),
+      reference: batchId,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        atomic: true,
+        data: error.details
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error applying bulk inventory update',
+      error: error.message
+    });
+  }
+};
+
+// Move units of a variant between two locations.
+// Body: { sku, from, to, quantity, note }. The variant's total stock does not change, so the
+// movement records a delta of 0 with the units leaving one location and arriving at the other.
+const transferStock = async (req, res) => {
+  const { from, to, quantity, note } = req.body;
+  const sku = typeof req.body.sku === 'string' ? req.body.sku.trim().toUpperCase() : '';
+  
+  const errors = [];
+  if (!sku) errors.push('sku is required');
+  if (typeof from !== 'string' || !from.trim()) errors.push('from must be a location code');
+  if (typeof to !== 'string' || !to.trim()) errors.push('to must be a location code');
+  if (errors.length === 0 && from.trim().toUpperCase() === to.trim().toUpperCase()) {
+    errors.push('from and to must be different locations');
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) errors.push('quantity must be a positive integer');
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  try {
+    const movement = await runInTransaction(async (session) => {
+      const [current, locations] = await Promise.all([
+        Product.findBySku(sku).session(session),
+        loadLocations()
+      ]);
+      const variant = current && current.getVariantBySku(sku);
+      if (!variant) throw new NotFoundError('SKU not found');
+      
+      const source = resolveStockLocation(variant, from, locations);
+      const target = resolveStockLocation(variant, to, locations);
+      if (!target.active) {
+        throw new ConflictError(`Location ${target.code} is inactive`, [{ location: target.code }]);
+      }
+      
+      const level = variant.inventory.find(candidate => candidate.location.equals(source._id));
+      const available = level ? level.stock : 0;
+      if (available < quantity) {
+        throw new ConflictError(`Insufficient stock at ${source.code} for this transfer`, [{
+          sku,
+          location: source.code,
+          stock: available,
+          requested: quantity
+        }]);
+      }
+      
+      const changes = [{ location: source, delta: -quantity }, { location: target, delta: quantity }];
+      const updated = await Product.findOneAndUpdate(
+        { _id: current._id, 'variants.sku': sku },
+        { $set: { 'variants.$[variant].inventory': applyLocationDeltas(variant, changes) } },
+        { arrayFilters: [{ 'variant.sku': sku }], new: true, session }
+      );
+      
+      const [recorded] = await recordInventoryMovements([
+        buildMovement(updated, sku, 0, { reason: 'transfer', actor: getActor(req), note, locations: changes })
+      ], session);
+      return recorded;
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred successfully',
+      data: movement
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring stock',
+      error: error.message
+    });
+  }
+};
+
+// Get inventory movements by SKU, product, location, reason and date range
+const getInventoryMovements = async (req, res) => {
+  try {
+    const { sku, productId, reason, location } = req.query;
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    
+    const query = {};
+    if (sku) query.sku = String(sku).toUpperCase();
+    if (productId) query.product = productId;
+    if (reason) query.reason = reason;
+    if (location) query['locations.code'] = String(location).toUpperCase();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    
+    const movements = await InventoryMovement.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit))
+      .select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      data: movements
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory movements',
+      error: error.message
+    });
+  }
+};
+
+// Get variants at or below their reorder point across the catalog
+const getLowStockReport = async (req, res) => {
+  try {
+    const { category, brand } = req.query;
+    
+    const match = { status: { $ne: 'Discontinued' } };
+    if (category) match.category = category;
+    if (brand) match.brand = brand;
+    
+    const report = await Product.aggregate([
+      { $match: match },
+      { $unwind: '$variants' },
+      {
+        $addFields: {
+          reorderPoint: { $ifNull: ['$variants.reorderPoint', 0] },
+          reserved: { $ifNull: ['$variants.reserved', 0] }
         }
+      },
+      { $match: { $expr: { $lte: ['$variants.stock', '$reorderPoint'] } } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          productName: '$name',
+          category: 1,
+          brand: 1,
+          status: 1,
+          sku: '$variants.sku',
+          color: '$variants.color',
+          size: '$variants.size',
+          stock: '$variants.stock',
+          reserved: 1,
+          available: { $max: [{ $subtract: ['$variants.stock', '$reserved'] }, 0] },
+          reorderPoint: 1,
+          reorderQuantity: { $ifNull: ['$variants.reorderQuantity', 0] },
+          shortfall: { $subtract: ['$reorderPoint', '$variants.stock'] }
+        }
+      },
+      { $sort: { stock: 1, shortfall: -1 } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low-stock report',
+      error: error.message
+    });
+  }
+};
+
+// Get reorder alerts (defaults to open ones)
+const getStockAlerts = async (req, res) => {
+  try {
+    const query = { status: req.query.status || 'Open' };
+    if (req.query.sku) query.sku = String(req.query.sku).toUpperCase();
+    
+    const alerts = await StockAlert.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit))
+      .select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock alerts',
+      error: error.message
+    });
+  }
+};
+
+// Acknowledge an open reorder alert
+const acknowledgeStockAlert = async (req, res) => {
+  try {
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: req.params.id, status: 'Open' },
+      { $set: { status: 'Acknowledged', acknowledgedBy: getActor(req), acknowledgedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!alert) {
+      const exists = await StockAlert.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Alert is not open' : 'Alert not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: alert
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging alert',
+      error: error.message
+    });
+  }
+};
+
+// Get the authenticated caller
+const getCurrentUser = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
+
+// Issue an API key (the key is only shown in this response)
+const createApiKey = async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    const key = `ck_${crypto.randomBytes(24).toString('hex')}`;
+    
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 10)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it is not shown again.',
+      data: {
+        id: apiKey._id,
+        name: apiKey.name,
+        role: apiKey.role,
+        prefix: apiKey.prefix,
+        key
       }
-    ];
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+// Get issued API keys
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+// Revoke an API key
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: false } },
+      { new: true }
+    );
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+// Itemized price for a SKU with the promotions that apply right now
+const getSkuPricing = async (req, res) => {
+  try {
+    const quantity = req.query.quantity === undefined ? 1 : Number(req.query.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new InvalidQueryError('quantity must be a positive integer');
+    }
+    
+    const pricing = await loadPricingContext(req.query.currency);
+    const [product, promotions] = await Promise.all([
+      Product.findBySku(req.params.sku),
+      loadActivePromotions()
+    ]);
+    
+    const variant = product && product.getVariantBySku(req.params.sku);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+    
+    const coupon = findCoupon(promotions, req.query.coupon);
+    if (req.query.coupon && !coupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon is invalid or has expired'
+      });
+    }
+    
+    const price = priceVariant(product, variant, { quantity, promotions, coupon, rates: pricing.rates });
+    
+    // Show the breakdown in the requested currency
+    const to = pricing.displayCurrency;
+    const convert = to && to !== price.currency && pricing.rates[price.currency]
+      ? (amount) => roundForCurrency((amount * pricing.rates[to]) / pricing.rates[price.currency], to)
+      : null;
+    const data = convert
+      ? {
+        ...price,
+        currency: to,
+        unitPrice: convert(price.unitPrice),
+        subtotal: convert(price.subtotal),
+        adjustments: price.adjustments.map(adjustment => ({ ...adjustment, amount: convert(adjustment.amount) })),
+        discountAmount: convert(price.discountAmount),
+        total: convert(price.total),
+        originalCurrency: price.currency
+      }
+      : price;
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        productId: product._id,
+        productName: product.name,
+        couponApplied: Boolean(coupon) && price.adjustments.some(adj => coupon._id.equals(adj.promotion)),
+        ...data
+      }
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error pricing variant',
+      error: error.message
+    });
+  }
+};
+
+// Fields that can be set through POST/PATCH /api/promotions
+const UPDATABLE_PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'type', 'value', 'currency', 'appliesTo',
+  'stackable', 'startsAt', 'endsAt', 'active', 'usageLimit'
+];
+
+const promotionErrorResponse = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A promotion with this coupon code already exists'
+    });
+  }
+  
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid promotion ID'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: error.message
+  });
+};
+
+// Create a promotion
+const createPromotion = async (req, res) => {
+  try {
+    const data = {};
+    for (const field of UPDATABLE_PROMOTION_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    
+    const promotion = await Promotion.create(data);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    promotionErrorResponse(res, error, 'creating promotion');
+  }
+};
+
+// Get promotions (?active=true for those running now)
+const getPromotions = async (req, res) => {
+  try {
+    const promotions = req.query.active === 'true'
+      ? await loadActivePromotions()
+      : await Promotion.find().sort({ createdAt: -1 }).select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    promotionErrorResponse(res, error, 'fetching promotions');
+  }
+};
+
+// Get promotion by ID
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).select('-__v');
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    promotionErrorResponse(res, error, 'fetching promotion');
+  }
+};
 
-    await Product.insertMany(sampleProducts);
-    console.log('✅ Sample data inserted successfully');
-    console.log(`📦 ${sampleProducts.length} products added to catalog`);
+// Update a promotion
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    
+    for (const field of UPDATABLE_PROMOTION_FIELDS) {
+      if (req.body[field] !== undefined) promotion.set(field, req.body[field]);
+    }
+    await promotion.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
   } catch (error) {
-    console.error('❌ Error generating sample data:', error);
+    promotionErrorResponse(res, error, 'updating promotion');
   }
-}
+};
 
-// ====================================
-// CONTROLLERS - Business Logic
-// ====================================
+// Delete a promotion (orders keep their recorded discounts)
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully',
+      data: promotion
+    });
+  } catch (error) {
+    promotionErrorResponse(res, error, 'deleting promotion');
+  }
+};
 
-// Create new product
-const createProduct = async (req, res) => {
+// Get the loaded exchange rates
+const getExchangeRates = async (req, res) => {
   try {
-    const product = new Product(req.body);
-    const savedProduct = await product.save();
+    const stored = await ExchangeRate.find().sort({ currency: 1 }).select('-__v');
     
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Product created successfully',
-      data: savedProduct
+      base: BASE_CURRENCY,
+      data: stored
     });
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates',
+      error: error.message
+    });
+  }
+};
+
+// Load exchange rates by hand ({ rates: { EUR: 0.92, ... } } per 1 BASE_CURRENCY)
+const updateExchangeRates = async (req, res) => {
+  try {
+    const { errors, rates } = await saveExchangeRates(req.body.rates, { source: 'manual', actor: getActor(req) });
+    
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
         message: 'Validation error',
@@ -652,205 +7455,600 @@ const createProduct = async (req, res) => {
       });
     }
     
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rates updated',
+      base: BASE_CURRENCY,
+      data: rates
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error creating product',
+      message: 'Error updating exchange rates',
       error: error.message
     });
   }
 };
 
-// Get all products with filters
-const getAllProducts = async (req, res) => {
+// Fields that can be set through POST/PATCH /api/categories
+const UPDATABLE_CATEGORY_FIELDS = ['name', 'slug', 'description', 'sortOrder', 'attributes'];
+
+const categoryErrorResponse = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A category with this name or slug already exists'
+    });
+  }
+  
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+  }
+  
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category ID'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: error.message
+  });
+};
+
+// Place `category` under the category referenced by `parentRef` (id, slug or name; null for the top level)
+const setCategoryParent = async (category, parentRef, session) => {
+  if (parentRef === null || parentRef === '') {
+    category.parent = null;
+    category.ancestors = [];
+    return;
+  }
+  
+  const parent = await Category.findByRef(parentRef).session(session);
+  if (!parent) throw new NotFoundError('Parent category not found');
+  if (parent._id.equals(category._id) || parent.ancestors.some(ancestor => ancestor._id.equals(category._id))) {
+    throw new ConflictError('A category cannot be moved under itself or one of its subcategories');
+  }
+  
+  category.parent = parent._id;
+  category.ancestors = [...parent.ancestors.map(ancestor => ancestor.toObject()), { _id: parent._id, name: parent.name, slug: parent.slug }];
+};
+
+// After a category is renamed or moved, rewrite its descendants' ancestors and the
+// names stored on products and promotions. `previous` is the category before the change.
+const propagateCategoryChange = async (category, previous, session) => {
+  const descendants = await Category.find({ 'ancestors._id': category._id }).session(session);
+  const moved = String(category.parent) !== String(previous.parent);
+  
+  if (moved) {
+    // Products pair a category with a subcategory below it; the move must not break that pairing
+    const subtree = [previous.name, ...descendants.map(descendant => descendant.name)];
+    const chain = category.ancestors.map(ancestor => ancestor.name);
+    const detached = await Product.countDocuments({
+      subcategory: { $in: subtree },
+      category: { $nin: [...subtree, ...chain] }
+    }).session(session);
+    if (detached > 0) {
+      throw new ConflictError(`Moving the category would separate ${detached} product(s) from their category`, [
+        { products: detached }
+      ]);
+    }
+  }
+  
+  if (descendants.length > 0) {
+    const self = { _id: category._id, name: category.name, slug: category.slug };
+    await Category.bulkWrite(descendants.map(descendant => {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(ancestor => ancestor._id.equals(category._id)) + 1);
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors: [...category.ancestors.map(ancestor => ancestor.toObject()), self, ...below.map(ancestor => ancestor.toObject())] } }
+        }
+      };
+    }), { session });
+  }
+  
+  if (category.name !== previous.name) {
+    await Product.updateMany({ category: previous.name }, { $set: { category: category.name } }, { session });
+    await Product.updateMany({ subcategory: previous.name }, { $set: { subcategory: category.name } }, { session });
+    await Promotion.updateMany(
+      { 'appliesTo.categories': previous.name },
+      { $set: { 'appliesTo.categories.$[name]': category.name } },
+      { arrayFilters: [{ name: previous.name }], session }
+    );
+  }
+};
+
+// Get the category taxonomy as a tree (?flat=true for a list)
+const getCategories = async (req, res) => {
   try {
-    const {
-      category,
-      brand,
-      status,
-      featured,
-      minPrice,
-      maxPrice,
-      search,
-      color,
-      size,
-      inStock
-    } = req.query;
-    
-    let query = {};
+    const categories = await loadCategories();
+    const tree = buildCategoryTree(categories);
     
-    // Filter by category
-    if (category) query.category = category;
+    const flatten = (nodes) => nodes.flatMap(({ children, ...node }) => [node, ...flatten(children)]);
     
-    // Filter by brand
-    if (brand) query.brand = brand;
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: req.query.flat === 'true' ? flatten(tree) : tree
+    });
+  } catch (error) {
+    categoryErrorResponse(res, error, 'fetching categories');
+  }
+};
+
+// Get a category (by id or slug) with breadcrumbs, subcategories and subtree product count
+const getCategory = async (req, res) => {
+  try {
+    const category = await Category.findByRef(req.params.category);
     
-    // Filter by status
-    if (status) query.status = status;
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
     
-    // Filter by featured
-    if (featured !== undefined) query.featured = featured === 'true';
+    const [children, names, categories] = await Promise.all([
+      Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }).select('name slug description sortOrder').lean(),
+      Category.subtreeNames(category),
+      loadCategories()
+    ]);
+    const productCount = await Product.countDocuments({
+      $or: [{ category: { $in: names } }, { subcategory: { $in: names } }]
+    });
     
-    // Price range filter
-    if (minPrice || maxPrice) {
-      query.basePrice = {};
-      if (minPrice) query.basePrice.$gte = parseFloat(minPrice);
-      if (maxPrice) query.basePrice.$lte = parseFloat(maxPrice);
+    res.status(200).json({
+      success: true,
+      data: {
+        ...category.toJSON(),
+        // Own and inherited definitions that variants in this category are checked against
+        effectiveAttributes: resolveCategoryAttributes(categories, category.name),
+        children,
+        productCount
+      }
+    });
+  } catch (error) {
+    categoryErrorResponse(res, error, 'fetching category');
+  }
+};
+
+// Create a category ({ name, slug?, parent?, description?, sortOrder? })
+const createCategory = async (req, res) => {
+  try {
+    const category = new Category();
+    for (const field of UPDATABLE_CATEGORY_FIELDS) {
+      if (req.body[field] !== undefined) category.set(field, req.body[field]);
     }
+    if (req.body.parent !== undefined) await setCategoryParent(category, req.body.parent);
     
-    // Search in name and description
-    if (search) {
-      query.$text = { $search: search };
-    }
+    await category.save();
+    invalidateCategoryCache();
     
-    // Filter by variant color
-    if (color) {
-      query['variants.color'] = color;
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    categoryErrorResponse(res, error, 'creating category');
+  }
+};
+
+// Update a category; renames and moves carry over to subcategories, products and promotions
+const updateCategory = async (req, res) => {
+  try {
+    const updated = await runInTransaction(async (session) => {
+      const category = await Category.findById(req.params.id).session(session);
+      if (!category) throw new NotFoundError('Category not found');
+      
+      const previous = { name: category.name, parent: category.parent };
+      for (const field of UPDATABLE_CATEGORY_FIELDS) {
+        if (req.body[field] !== undefined) category.set(field, req.body[field]);
+      }
+      if (req.body.parent !== undefined) await setCategoryParent(category, req.body.parent, session);
+      
+      await category.save({ session });
+      await propagateCategoryChange(category, previous, session);
+      return category;
+    });
+    invalidateCategoryCache();
     
-    // Filter by variant size
-    if (size) {
-      query['variants.size'] = size;
-    }
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    categoryErrorResponse(res, error, 'updating category');
+  }
+};
+
+// Delete a category that has no subcategories and no products. Product writes that assign
+// the category also write its document, so they conflict with the delete instead of racing it.
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await runInTransaction(async (session) => {
+      const existing = await Category.findById(req.params.id).session(session);
+      if (!existing) throw new NotFoundError('Category not found');
+      
+      const children = await Category.countDocuments({ parent: existing._id }).session(session);
+      const products = await Product.countDocuments({
+        $or: [{ category: existing.name }, { subcategory: existing.name }]
+      }).session(session);
+      if (children > 0 || products > 0) {
+        throw new ConflictError('Only categories without subcategories or products can be deleted', [
+          { subcategories: children, products }
+        ]);
+      }
+      
+      await existing.deleteOne({ session });
+      return existing;
+    });
+    invalidateCategoryCache();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: category
+    });
+  } catch (error) {
+    categoryErrorResponse(res, error, 'deleting category');
+  }
+};
+
+// Fields that can be changed through PATCH /api/locations/:id (the code is fixed at creation)
+const UPDATABLE_LOCATION_FIELDS = ['name', 'type', 'address', 'priority', 'isDefault', 'active'];
+
+const locationErrorResponse = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A location with this code already exists'
+    });
+  }
+  
+  if (error.name === 'ConflictError') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+  }
+  
+  if (error.name === 'NotFoundError') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid location ID'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    error: error.message
+  });
+};
+
+// Save a location, making it the only default if it is flagged as one
+const saveLocation = async (location, session) => {
+  if (location.isDefault) {
+    await Location.updateMany(
+      { _id: { $ne: location._id }, isDefault: true },
+      { $set: { isDefault: false } },
+      { session }
+    );
+  }
+  await location.save({ session });
+};
+
+// Get all locations in fulfilment priority order
+const getLocations = async (req, res) => {
+  try {
+    const locations = await Location.find().sort({ priority: 1, code: 1 }).select('-__v');
+    
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    locationErrorResponse(res, error, 'fetching locations');
+  }
+};
+
+// Get a location by code, with how many SKUs and units it holds
+const getLocation = async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const location = await Location.findOne({ code }).select('-__v');
     
-    // Filter by stock availability
-    if (inStock === 'true') {
-      query['variants.stock'] = { $gt: 0 };
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
     }
     
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .select('-__v');
+    const [totals] = await Product.aggregate([
+      { $match: { 'variants.inventory.code': code } },
+      { $unwind: '$variants' },
+      { $unwind: '$variants.inventory' },
+      { $match: { 'variants.inventory.code': code } },
+      {
+        $group: {
+          _id: null,
+          skus: { $sum: 1 },
+          inStockSkus: { $sum: { $cond: [{ $gt: ['$variants.inventory.stock', 0] }, 1, 0] } },
+          units: { $sum: '$variants.inventory.stock' }
+        }
+      }
+    ]);
     
     res.status(200).json({
       success: true,
-      count: products.length,
-      data: products
+      data: {
+        ...location.toJSON(),
+        stock: {
+          skus: totals ? totals.skus : 0,
+          inStockSkus: totals ? totals.inStockSkus : 0,
+          units: totals ? totals.units : 0
+        }
+      }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching products',
-      error: error.message
+    locationErrorResponse(res, error, 'fetching location');
+  }
+};
+
+// Create a location ({ code, name, type?, address?, priority?, isDefault?, active? })
+const createLocation = async (req, res) => {
+  try {
+    const location = await runInTransaction(async (session) => {
+      const created = new Location({ code: req.body.code });
+      for (const field of UPDATABLE_LOCATION_FIELDS) {
+        if (req.body[field] !== undefined) created.set(field, req.body[field]);
+      }
+      await saveLocation(created, session);
+      return created;
+    });
+    invalidateLocationCache();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+  } catch (error) {
+    locationErrorResponse(res, error, 'creating location');
+  }
+};
+
+// Update a location. Making one location the default clears the flag on the previous default;
+// deactivating one takes its stock out of what can be reserved, ordered or listed as shipping.
+const updateLocation = async (req, res) => {
+  try {
+    const location = await runInTransaction(async (session) => {
+      const existing = await Location.findById(req.params.id).session(session);
+      if (!existing) throw new NotFoundError('Location not found');
+      
+      if (existing.isDefault && req.body.isDefault === false) {
+        throw new ConflictError('There must be a default location; make another location the default instead');
+      }
+      for (const field of UPDATABLE_LOCATION_FIELDS) {
+        if (req.body[field] !== undefined) existing.set(field, req.body[field]);
+      }
+      const activeChanged = existing.isModified('active');
+      await saveLocation(existing, session);
+      
+      // Inventory levels carry the flag so availability queries can leave inactive stock out.
+      // The update also re-derives the status of these products from their sellable stock.
+      if (activeChanged) {
+        await Product.updateMany(
+          { 'variants.inventory.location': existing._id },
+          { $set: { 'variants.$[].inventory.$[level].active': existing.active } },
+          { arrayFilters: [{ 'level.location': existing._id }], session }
+        );
+      }
+      return existing;
+    });
+    invalidateLocationCache();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: location
+    });
+  } catch (error) {
+    locationErrorResponse(res, error, 'updating location');
+  }
+};
+
+// Delete a location that holds no stock; its empty inventory entries are removed from variants
+const deleteLocation = async (req, res) => {
+  try {
+    const location = await runInTransaction(async (session) => {
+      const existing = await Location.findById(req.params.id).session(session);
+      if (!existing) throw new NotFoundError('Location not found');
+      
+      if (existing.isDefault) {
+        throw new ConflictError('The default location cannot be deleted; make another location the default first');
+      }
+      const stocked = await Product.countDocuments({
+        variants: { $elemMatch: { inventory: { $elemMatch: { location: existing._id, stock: { $gt: 0 } } } } }
+      }).session(session);
+      if (stocked > 0) {
+        throw new ConflictError('Only locations without stock can be deleted; transfer the stock out first', [
+          { products: stocked }
+        ]);
+      }
+      
+      await Product.updateMany(
+        { 'variants.inventory.location': existing._id },
+        { $pull: { 'variants.$[].inventory': { location: existing._id } } },
+        { session }
+      );
+      await existing.deleteOne({ session });
+      return existing;
+    });
+    invalidateLocationCache();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Location deleted successfully',
+      data: location
     });
+  } catch (error) {
+    locationErrorResponse(res, error, 'deleting location');
   }
 };
 
-// Get product by ID
-const getProductById = async (req, res) => {
+// Fields that can be changed through PATCH /api/webhooks/:id
+const UPDATABLE_WEBHOOK_FIELDS = ['url', 'events', 'description', 'active'];
+
+// Create webhook subscription
+const createWebhook = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).select('-__v');
+    const { url, events, description } = req.body;
+    const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
     
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
+    const subscription = await WebhookSubscription.create({ url, events, description, secret });
     
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      data: product
+      message: 'Webhook created successfully. Store the secret now, it is not shown again.',
+      data: { ...subscription.toJSON(), secret }
     });
   } catch (error) {
-    if (error.kind === 'ObjectId') {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID'
+        message: 'Validation error',
+        errors
       });
     }
     
     res.status(500).json({
       success: false,
-      message: 'Error fetching product',
+      message: 'Error creating webhook',
       error: error.message
     });
   }
 };
 
-// Get products by category
-const getProductsByCategory = async (req, res) => {
+// Get webhook subscriptions
+const getWebhooks = async (req, res) => {
   try {
-    const { category } = req.params;
-    const products = await Product.findByCategory(category);
+    const webhooks = await WebhookSubscription.find().sort({ createdAt: -1 }).select('-__v');
     
     res.status(200).json({
       success: true,
-      count: products.length,
-      category,
-      data: products
+      count: webhooks.length,
+      availableEvents: WEBHOOK_EVENTS,
+      data: webhooks
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error fetching products by category',
+      message: 'Error fetching webhooks',
       error: error.message
     });
   }
 };
 
-// Get specific variant details
-const getVariantBySku = async (req, res) => {
+// Get webhook subscription by ID
+const getWebhookById = async (req, res) => {
   try {
-    const { id, sku } = req.params;
-    
-    const product = await Product.findById(id);
+    const webhook = await WebhookSubscription.findById(req.params.id).select('-__v');
     
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
-    
-    const variant = product.getVariantBySku(sku);
-    
-    if (!variant) {
+    if (!webhook) {
       return res.status(404).json({
         success: false,
-        message: 'Variant not found'
+        message: 'Webhook not found'
       });
     }
     
     res.status(200).json({
       success: true,
-      data: {
-        productName: product.name,
-        basePrice: product.basePrice,
-        variant: variant,
-        finalPrice: product.basePrice + variant.additionalPrice
-      }
+      data: webhook
     });
   } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook ID'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error fetching variant',
+      message: 'Error fetching webhook',
       error: error.message
     });
   }
 };
 
-// Add variant to existing product
-const addVariant = async (req, res) => {
+// Update webhook subscription
+const updateWebhook = async (req, res) => {
   try {
-    const { id } = req.params;
-    const variantData = req.body;
-    
-    const product = await Product.findById(id);
+    const webhook = await WebhookSubscription.findById(req.params.id);
     
-    if (!product) {
+    if (!webhook) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'Webhook not found'
       });
     }
     
-    product.variants.push(variantData);
-    await product.save();
+    for (const field of UPDATABLE_WEBHOOK_FIELDS) {
+      if (req.body[field] !== undefined) webhook.set(field, req.body[field]);
+    }
+    await webhook.save();
     
     res.status(200).json({
       success: true,
-      message: 'Variant added successfully',
-      data: product
+      message: 'Webhook updated successfully',
+      data: webhook
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -862,122 +8060,169 @@ const addVariant = async (req, res) => {
       });
     }
     
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook ID'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error adding variant',
+      message: 'Error updating webhook',
       error: error.message
     });
   }
 };
 
-// Update variant stock
-const updateVariantStock = async (req, res) => {
+// Delete webhook subscription (its delivery log is kept)
+const deleteWebhook = async (req, res) => {
   try {
-    const { id, sku } = req.params;
-    const { stock } = req.body;
-    
-    const product = await Product.findOneAndUpdate(
-      { _id: id, 'variants.sku': sku.toUpperCase() },
-      { $set: { 'variants.$.stock': stock } },
-      { new: true, runValidators: true }
-    );
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
     
-    if (!product) {
+    if (!webhook) {
       return res.status(404).json({
         success: false,
-        message: 'Product or variant not found'
+        message: 'Webhook not found'
       });
     }
     
     res.status(200).json({
       success: true,
-      message: 'Stock updated successfully',
-      data: product
+      message: 'Webhook deleted successfully',
+      data: webhook
     });
   } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook ID'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error updating stock',
+      message: 'Error deleting webhook',
       error: error.message
     });
   }
 };
 
-// Add review to product
-const addReview = async (req, res) => {
+// Send a test event to one subscription
+const pingWebhook = async (req, res) => {
   try {
-    const { id } = req.params;
-    const reviewData = req.body;
-    
-    const product = await Product.findById(id);
+    const webhook = await WebhookSubscription.findById(req.params.id);
     
-    if (!product) {
+    if (!webhook) {
       return res.status(404).json({
         success: false,
-        message: 'Product not found'
+        message: 'Webhook not found'
       });
     }
     
-    product.reviews.push(reviewData);
-    await product.save();
+    const [delivery] = await WebhookDelivery.insertMany([{
+      subscription: webhook._id,
+      event: 'webhook.ping',
+      payload: { webhookId: webhook._id, sentAt: new Date() },
+      nextAttemptAt: new Date()
+    }]);
+    const attempted = await attemptWebhookDelivery(delivery._id);
     
     res.status(200).json({
       success: true,
-      message: 'Review added successfully',
-      averageRating: product.averageRating,
-      data: product
+      message: 'Ping sent',
+      data: attempted || delivery
     });
   } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook ID'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error adding review',
+      message: 'Error sending ping',
       error: error.message
     });
   }
 };
 
-// Get product statistics
-const getStatistics = async (req, res) => {
+// Get the delivery log of a subscription
+const getWebhookDeliveries = async (req, res) => {
   try {
-    const totalProducts = await Product.countDocuments();
-    const activeProducts = await Product.countDocuments({ status: 'Active' });
+    const query = { subscription: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
     
-    const categoryStats = await Product.aggregate([
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit))
+      .select('-__v');
     
-    const brandStats = await Product.aggregate([
-      { $group: { _id: '$brand', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    if (error.name === 'InvalidQueryError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
-    const averagePrice = await Product.aggregate([
-      { $group: { _id: null, avgPrice: { $avg: '$basePrice' } } }
-    ]);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook ID'
+      });
+    }
     
-    // Total stock across all variants
-    const stockStats = await Product.aggregate([
-      { $unwind: '$variants' },
-      { $group: { _id: null, totalStock: { $sum: '$variants.stock' } } }
-    ]);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries',
+      error: error.message
+    });
+  }
+};
+
+// Re-queue a failed delivery
+const retryWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, subscription: req.params.id, status: 'Failed' },
+      { $set: { status: 'Pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed delivery not found'
+      });
+    }
+    
+    const attempted = await attemptWebhookDelivery(delivery._id);
     
     res.status(200).json({
       success: true,
-      statistics: {
-        totalProducts,
-        activeProducts,
-        inactiveProducts: totalProducts - activeProducts,
-        averagePrice: averagePrice[0]?.avgPrice.toFixed(2) || 0,
-        totalStock: stockStats[0]?.totalStock || 0,
-        categoryDistribution: categoryStats,
-        brandDistribution: brandStats
-      }
+      message: 'Delivery re-queued',
+      data: attempted || delivery
     });
   } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook or delivery ID'
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: 'Error fetching statistics',
+      message: 'Error retrying delivery',
       error: error.message
     });
   }
@@ -987,51 +8232,230 @@ const getStatistics = async (req, res) => {
 // ROUTES - API Endpoints
 // ====================================
 
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  let categories;
+  try {
+    categories = await loadCategories();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error loading categories',
+      error: error.message
+    });
+  }
+  
   res.json({
     message: 'E-commerce Catalog API - Nested Document Structure',
     version: '1.0.0',
+    authentication: {
+      headers: 'X-API-Key: <key> or Authorization: Bearer <HS256 JWT with sub, username, role>',
+      roles: ROLES,
+      access: 'Reads are public; catalog and inventory writes need a staff role (admin, inventory); ' +
+        'deletes, webhooks and API keys need admin; reviews, orders and reservations need any signed-in user'
+    },
     endpoints: {
+      'GET /api/auth/me': 'Get the authenticated caller',
+      'POST /api/auth/api-keys': 'Issue an API key ({ name, role })',
+      'GET /api/auth/api-keys': 'Get issued API keys',
+      'DELETE /api/auth/api-keys/:id': 'Revoke an API key',
       'POST /api/products': 'Create a new product',
       'GET /api/products': 'Get all products (with filters)',
+      'GET /api/products/facets': 'Get filter counts (category, subcategory, brand, color, size, status, rating, price bands, and the attributes of the filtered category or attr filters)',
+      'GET /api/products/suggest?q=': 'Type-ahead suggestions over names, brands, tags and SKUs',
       'GET /api/products/:id': 'Get product by ID',
-      'GET /api/products/category/:category': 'Get products by category',
-      'GET /api/products/:id/variant/:sku': 'Get specific variant by SKU',
+      'PUT /api/products/:id': 'Replace editable product fields',
+      'PATCH /api/products/:id': 'Partially update product (merges specifications and discount)',
+      'DELETE /api/products/:id': 'Delete product',
+      'GET /api/products/category/:category': 'Get products in a category (name or slug) and its subcategories',
+      'GET /api/products/:id/price-history': 'Get price changes (?sku, ?from, ?to, ?limit) and the lowest price of the last 30 days',
+      'GET /api/products/:id/variant/:sku': 'Get specific variant by SKU, with stock per location (?location, ?shipsFrom)',
+      'GET /api/skus/:sku': 'Resolve a SKU to its product, variant, final price and stock per location (?currency, ?location, ?shipsFrom)',
       'POST /api/products/:id/variants': 'Add variant to product',
-      'PUT /api/products/:id/variants/:sku/stock': 'Update variant stock',
-      'POST /api/products/:id/reviews': 'Add review to product',
-      'GET /api/products/stats': 'Get catalog statistics'
+      'PATCH /api/products/:id/variants/:sku': 'Update variant details',
+      'DELETE /api/products/:id/variants/:sku': 'Delete variant (a product keeps at least one)',
+      'PUT /api/products/:id/variants/:sku/stock': 'Update variant stock at a location ({ stock } or { delta, reason }, plus location)',
+      'GET /api/products/:id/reviews': 'Get approved reviews (?limit, ?cursor, ?sort=recent|helpful|rating|rating_asc or date/rating/helpful keys with +/-, ?rating=4,5; staff: ?status=Pending|Rejected)',
+      'POST /api/products/:id/reviews': 'Add review to product (one per user, held for moderation)',
+      'PATCH /api/products/:id/reviews/:reviewId': 'Edit your review ({ rating, comment }); it is moderated again',
+      'DELETE /api/products/:id/reviews/:reviewId': 'Delete a review (author or staff)',
+      'POST /api/products/:id/reviews/:reviewId/moderation': 'Approve or reject a review ({ status, note })',
+      'POST /api/products/:id/reviews/:reviewId/votes': 'Vote a review helpful or not ({ helpful: true|false })',
+      'POST /api/products/import': 'Import products from CSV (one row per variant) or JSON Lines, upserting by SKU (?format, ?dryRun=true)',
+      'GET /api/products/export': 'Download the filtered catalog as CSV or JSON Lines (?format plus the listing filters)',
+      'GET /api/products/stats': 'Get catalog statistics',
+      'POST /api/orders': 'Place an order ({ items: [{ productId, sku, quantity }], coupon })',
+      'GET /api/orders': 'Get orders',
+      'GET /api/orders/:id': 'Get order by ID',
+      'POST /api/orders/:id/cancel': 'Cancel order and restore stock',
+      'POST /api/reservations': 'Hold stock for a cart ({ productId, sku, quantity, cartId, ttlSeconds })',
+      'GET /api/reservations': 'Get reservations (filter by cartId/status; customers see their own)',
+      'GET /api/reservations/:id': 'Get reservation by ID',
+      'POST /api/reservations/:id/extend': 'Extend an active reservation',
+      'POST /api/reservations/:id/release': 'Release a reservation',
+      'POST /api/reservations/:id/commit': 'Commit a reservation (removes the units from stock)',
+      'POST /api/inventory/bulk': 'Set stock, adjust by delta or change additionalPrice for many SKUs ({ operations, atomic }); 207 if only some apply, 409 if an atomic batch is rejected',
+      'POST /api/inventory/transfers': 'Move stock between locations ({ sku, from, to, quantity, note })',
+      'GET /api/inventory/movements': 'Get the stock ledger (filter by sku, productId, location, reason, from, to)',
+      'GET /api/inventory/low-stock': 'Get variants at or below their reorder point',
+      'GET /api/inventory/alerts': 'Get reorder alerts (status defaults to Open)',
+      'POST /api/inventory/alerts/:id/acknowledge': 'Acknowledge a reorder alert',
+      'GET /api/pricing/:sku': 'Get the itemized price for a SKU (?quantity, ?coupon, ?currency)',
+      'POST /api/promotions': 'Create a promotion (percentage or fixed, targeting products, categories, brands or SKUs)',
+      'GET /api/promotions': 'Get promotions (?active=true for those running now)',
+      'GET /api/promotions/:id': 'Get promotion by ID',
+      'PATCH /api/promotions/:id': 'Update a promotion',
+      'DELETE /api/promotions/:id': 'Delete a promotion',
+      'GET /api/categories': 'Get the category tree (?flat=true for a list with breadcrumbs)',
+      'GET /api/categories/:category': 'Get a category by ID or slug with breadcrumbs, subcategories and effective attributes',
+      'POST /api/categories': 'Create a category ({ name, slug, parent, description, sortOrder, attributes })',
+      'PATCH /api/categories/:id': 'Update a category (renames and moves carry over to products)',
+      'DELETE /api/categories/:id': 'Delete a category without subcategories or products',
+      'GET /api/locations': 'Get warehouses and stores in fulfilment priority order',
+      'GET /api/locations/:code': 'Get a location with the SKUs and units it holds',
+      'POST /api/locations': 'Create a location ({ code, name, type, address, priority, isDefault, active })',
+      'PATCH /api/locations/:id': 'Update a location',
+      'DELETE /api/locations/:id': 'Delete a location that holds no stock',
+      'GET /api/exchange-rates': `Get exchange rates (per 1 ${BASE_CURRENCY})`,
+      'PUT /api/exchange-rates': 'Load exchange rates ({ rates: { EUR: 0.92, ... } })',
+      'POST /api/webhooks': 'Subscribe a URL to catalog events',
+      'GET /api/webhooks': 'Get webhook subscriptions',
+      'GET /api/webhooks/:id': 'Get webhook subscription by ID',
+      'PATCH /api/webhooks/:id': 'Update webhook subscription',
+      'DELETE /api/webhooks/:id': 'Delete webhook subscription',
+      'POST /api/webhooks/:id/ping': 'Send a test event',
+      'GET /api/webhooks/:id/deliveries': 'Get the delivery log',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/retry': 'Retry a failed delivery'
     },
-    availableCategories: [
-      'Electronics', 'Clothing', 'Shoes', 'Accessories',
-      'Home & Kitchen', 'Sports & Outdoors', 'Books',
-      'Toys & Games', 'Beauty & Personal Care', 'Automotive', 'Other'
-    ],
+    // Top-level categories; GET /api/categories has the full tree
+    availableCategories: categories.filter(category => !category.parent).map(category => category.name),
     queryFilters: {
       category: 'Filter by category',
+      subcategory: 'Filter by subcategory',
       brand: 'Filter by brand',
-      status: 'Filter by status (Active/Inactive/Discontinued/Out of Stock)',
+      status: 'Filter by status (Active/Inactive/Discontinued/Out of Stock; Active and Out of Stock follow stock at active locations)',
       featured: 'Filter by featured (true/false)',
-      minPrice: 'Minimum price filter',
-      maxPrice: 'Maximum price filter',
-      search: 'Search in product name and description',
-      color: 'Filter by variant color',
-      size: 'Filter by variant size',
-      inStock: 'Filter products with stock (true/false)'
+      minPrice: `Minimum price filter, in the requested currency (default ${BASE_CURRENCY})`,
+      maxPrice: `Maximum price filter, in the requested currency (default ${BASE_CURRENCY})`,
+      currency: `Show prices in this currency (${SUPPORTED_CURRENCIES.join(', ')}); also applies to price filters, facets and stats`,
+      search: 'Search in product name and description (results ordered by relevance unless sort is given)',
+      color: 'Filter by variant color (combined with size/inStock on the same variant)',
+      size: 'Filter by variant size (combined with color/inStock on the same variant)',
+      'attr[name]': 'Filter by a variant attribute, e.g. attr[storage]=256GB,512GB (combined with the other variant filters)',
+      inStock: 'Filter products with stock at an active location (true/false; at `location` when given)',
+      location: 'Only variants carried at this location code; adds locationStock to each variant',
+      shipsFrom: 'Only variants in stock at one of these comma-separated location codes',
+      matchingVariants: 'Return only the variants matching color/size/inStock/attr/location/shipsFrom (true/false)',
+      limit: `Page size (default ${DEFAULT_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})`,
+      cursor: 'Opaque nextCursor value from the previous page',
+      priceBands: 'Comma-separated price band boundaries for /api/products/facets',
+      minRating: 'Minimum average rating of approved reviews (0-5)',
+      priceDropped: 'Only products whose price is lower now than at `since` (true/false)',
+      since: 'Start of the priceDropped window (date, default 30 days ago)',
+      sort: 'Comma-separated sort keys, prefix with - for descending (basePrice, createdAt, updatedAt, name, rating, score)'
     }
   });
 });
 
+// Identify the caller on every request; routes below decide what it may do
+app.use(authenticate);
+
+// Auth routes
+app.get('/api/auth/me', requireAuth, getCurrentUser);
+app.post('/api/auth/api-keys', requireAdmin, createApiKey);
+app.get('/api/auth/api-keys', requireAdmin, getApiKeys);
+app.delete('/api/auth/api-keys/:id', requireAdmin, revokeApiKey);
+
 // Product routes
-app.post('/api/products', createProduct);
+app.post('/api/products', requireStaff, createProduct);
+app.post(
+  '/api/products/import',
+  requireStaff,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'text/plain'], limit: MAX_IMPORT_BYTES }),
+  importProducts
+);
+app.get('/api/products/export', requireStaff, exportProducts);
 app.get('/api/products', getAllProducts);
 app.get('/api/products/stats', getStatistics);
+app.get('/api/products/facets', getProductFacets);
+app.get('/api/products/suggest', getSuggestions);
 app.get('/api/products/category/:category', getProductsByCategory);
 app.get('/api/products/:id', getProductById);
+app.put('/api/products/:id', requireStaff, updateProduct);
+app.patch('/api/products/:id', requireStaff, updateProduct);
+app.delete('/api/products/:id', requireAdmin, deleteProduct);
+app.get('/api/products/:id/price-history', getPriceHistory);
 app.get('/api/products/:id/variant/:sku', getVariantBySku);
-app.post('/api/products/:id/variants', addVariant);
-app.put('/api/products/:id/variants/:sku/stock', updateVariantStock);
-app.post('/api/products/:id/reviews', addReview);
+app.post('/api/products/:id/variants', requireStaff, addVariant);
+app.patch('/api/products/:id/variants/:sku', requireStaff, updateVariant);
+app.delete('/api/products/:id/variants/:sku', requireAdmin, deleteVariant);
+app.put('/api/products/:id/variants/:sku/stock', requireStaff, updateVariantStock);
+app.get('/api/products/:id/reviews', getProductReviews);
+app.post('/api/products/:id/reviews', requireAuth, addReview);
+app.patch('/api/products/:id/reviews/:reviewId', requireAuth, updateReview);
+app.delete('/api/products/:id/reviews/:reviewId', requireAuth, deleteReview);
+app.post('/api/products/:id/reviews/:reviewId/moderation', requireStaff, moderateReview);
+app.post('/api/products/:id/reviews/:reviewId/votes', requireAuth, voteReview);
+
+// Order routes
+app.post('/api/orders', requireAuth, createOrder);
+app.get('/api/orders', requireAuth, getOrders);
+app.get('/api/orders/:id', requireAuth, getOrderById);
+app.post('/api/orders/:id/cancel', requireAuth, cancelOrder);
+
+// Reservation routes
+app.post('/api/reservations', requireAuth, createReservation);
+app.get('/api/reservations', requireAuth, getReservations);
+app.get('/api/reservations/:id', requireAuth, getReservationById);
+app.post('/api/reservations/:id/extend', requireAuth, extendReservation);
+app.post('/api/reservations/:id/release', requireAuth, releaseReservationById);
+app.post('/api/reservations/:id/commit', requireStaff, commitReservationById);
+
+// Inventory routes
+app.post('/api/inventory/bulk', requireStaff, bulkUpdateInventory);
+app.post('/api/inventory/transfers', requireStaff, transferStock);
+app.get('/api/inventory/movements', requireStaff, getInventoryMovements);
+app.get('/api/inventory/low-stock', requireStaff, getLowStockReport);
+app.get('/api/inventory/alerts', requireStaff, getStockAlerts);
+app.post('/api/inventory/alerts/:id/acknowledge', requireStaff, acknowledgeStockAlert);
+
+// SKU routes
+app.get('/api/skus/:sku', getSkuLookup);
+
+// Pricing and promotion routes
+app.get('/api/pricing/:sku', getSkuPricing);
+app.post('/api/promotions', requireAdmin, createPromotion);
+app.get('/api/promotions', requireStaff, getPromotions);
+app.get('/api/promotions/:id', requireStaff, getPromotionById);
+app.patch('/api/promotions/:id', requireAdmin, updatePromotion);
+app.delete('/api/promotions/:id', requireAdmin, deletePromotion);
+
+// Category routes
+app.get('/api/categories', getCategories);
+app.get('/api/categories/:category', getCategory);
+app.post('/api/categories', requireAdmin, createCategory);
+app.patch('/api/categories/:id', requireAdmin, updateCategory);
+app.delete('/api/categories/:id', requireAdmin, deleteCategory);
+
+// Location routes
+app.get('/api/locations', getLocations);
+app.get('/api/locations/:code', getLocation);
+app.post('/api/locations', requireAdmin, createLocation);
+app.patch('/api/locations/:id', requireAdmin, updateLocation);
+app.delete('/api/locations/:id', requireAdmin, deleteLocation);
+
+// Exchange rate routes
+app.get('/api/exchange-rates', getExchangeRates);
+app.put('/api/exchange-rates', requireAdmin, updateExchangeRates);
+
+// Webhook routes
+app.post('/api/webhooks', requireAdmin, createWebhook);
+app.get('/api/webhooks', requireAdmin, getWebhooks);
+app.get('/api/webhooks/:id', requireAdmin, getWebhookById);
+app.patch('/api/webhooks/:id', requireAdmin, updateWebhook);
+app.delete('/api/webhooks/:id', requireAdmin, deleteWebhook);
+app.post('/api/webhooks/:id/ping', requireAdmin, pingWebhook);
+app.get('/api/webhooks/:id/deliveries', requireAdmin, getWebhookDeliveries);
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', requireAdmin, retryWebhookDelivery);
 
 // 404 handler
 app.use((req, res) => {
@@ -1051,6 +8475,150 @@ app.use((err, req, res, next) => {
   });
 });
 
+// ====================================
+// BACKGROUND JOBS
+// ====================================
+const backgroundJobs = [];
+
+const startBackgroundJobs = () => {
+  // Return stock held by expired reservations
+  const reservationSweeper = setInterval(() => {
+    releaseExpiredReservations()
+      .then(count => {
+        if (count > 0) console.log(`⏱️  Released ${count} expired reservation(s)`);
+      })
+      .catch(error => console.error('❌ Error releasing expired reservations:', error));
+  }, RESERVATION_SWEEP_INTERVAL_MS);
+  
+  reservationSweeper.unref();
+  backgroundJobs.push(reservationSweeper);
+  
+  // Retry webhook deliveries whose backoff has elapsed
+  const webhookDispatcher = setInterval(() => {
+    dispatchPendingWebhooks()
+      .catch(error => console.error('❌ Error dispatching webhooks:', error));
+  }, WEBHOOK_DISPATCH_INTERVAL_MS);
+  
+  webhookDispatcher.unref();
+  backgroundJobs.push(webhookDispatcher);
+};
+
+const stopBackgroundJobs = () => {
+  backgroundJobs.forEach(clearInterval);
+  backgroundJobs.length = 0;
+};
+
+// ====================================
+// MAINTENANCE COMMANDS
+// ====================================
+// Run with `node main.js <command>`; the server is not started.
+const COMMANDS = {
+  // Move reviews embedded in product documents into the reviews collection
+  'migrate-reviews': async () => {
+    const report = await migrateEmbeddedReviews();
+    console.log(`✅ Migrated ${report.migrated} review(s) from ${report.products} product(s), ${report.skipped} skipped`);
+    
+    const scored = await backfillReviewHelpfulScores();
+    console.log(`✅ Helpful scores added to ${scored} review(s)`);
+    
+    const summarized = await backfillRatingSummaries();
+    console.log(`✅ Empty rating summaries added to ${summarized} product(s)`);
+  },
+  // Place stock recorded before locations existed at the default location
+  'migrate-locations': async () => {
+    const { location, products } = await placeUnlocatedStock();
+    console.log(`✅ Stock of ${products} product(s) placed at ${location}`);
+  },
+  // Load exchange rates from a JSON file: { "base": "USD", "rates": { "EUR": 0.92, ... } }
+  'import-rates': async (file) => {
+    if (!file) throw new Error('Usage: node main.js import-rates <file.json>');
+    
+    const { base = BASE_CURRENCY, rates = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (base !== BASE_CURRENCY && !rates[BASE_CURRENCY]) {
+      throw new Error(`The file is based on ${base} but has no ${BASE_CURRENCY} rate to convert from`);
+    }
+    
+    // Re-express rates quoted against another base per 1 BASE_CURRENCY
+    const perBase = base === BASE_CURRENCY ? 1 : rates[BASE_CURRENCY];
+    const converted = { ...rates, [base]: 1 };
+    for (const currency of Object.keys(converted)) {
+      converted[currency] = converted[currency] / perBase;
+    }
+    converted[BASE_CURRENCY] = 1;
+    
+    const supported = Object.fromEntries(
+      Object.entries(converted).filter(([currency]) => SUPPORTED_CURRENCIES.includes(currency))
+    );
+    const { errors } = await saveExchangeRates(supported, { source: 'file', actor: 'import-rates' });
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    
+    console.log(`✅ Imported ${Object.keys(supported).length - 1} exchange rate(s) from ${file}`);
+  },
+  // Import a .csv or .jsonl catalog file; add --dry-run to only validate
+  import: async (file, ...flags) => {
+    if (!file) throw new Error('Usage: node main.js import <file.csv|file.jsonl> [--dry-run]');
+    
+    const format = parseCatalogFormat(file.split('.').pop());
+    const report = await importCatalog(fs.readFileSync(file, 'utf8'), format, {
+      dryRun: flags.includes('--dry-run'),
+      actor: 'import'
+    });
+    
+    for (const row of report.rows.filter(r => r.errors.length > 0)) {
+      for (const error of row.errors) {
+        console.error(`   row ${row.row}${error.field ? ` ${error.field}` : ''}: ${error.message}`);
+      }
+    }
+    const { created, updated, failed } = report.summary;
+    console.log(`${failed > 0 ? '⚠️ ' : '✅'} ${report.dryRun ? 'Dry run: ' : ''}${created} created, ${updated} updated, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+  },
+  // Export the catalog to a .csv or .jsonl file; filters as key=value (e.g. category=Electronics)
+  export: async (file, ...filters) => {
+    if (!file) throw new Error('Usage: node main.js export <file.csv|file.jsonl> [key=value ...]');
+    
+    const format = parseCatalogFormat(file.split('.').pop());
+    const params = Object.fromEntries(filters.map(filter => filter.split('=')));
+    const query = buildProductQuery(params, await loadPricingContext(params.currency));
+    
+    const out = fs.createWriteStream(file);
+    const count = await exportCatalog(query, format, (chunk) => (
+      out.write(chunk) ? Promise.resolve() : new Promise(resolve => out.once('drain', resolve))
+    ));
+    await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+    console.log(`✅ Exported ${count} product(s) to ${file}`);
+  },
+  // Add suggestion keys to products stored before the suggest endpoint used them
+  'migrate-suggestions': async () => {
+    let count = 0;
+    let ops = [];
+    const flush = async () => {
+      if (ops.length > 0) await Product.collection.bulkWrite(ops, { ordered: false });
+      count += ops.length;
+      ops = [];
+    };
+    
+    const cursor = Product.find({ suggestionKeys: { $exists: false } }).select('name brand tags variants.sku').lean().cursor();
+    for await (const product of cursor) {
+      ops.push({ updateOne: { filter: { _id: product._id }, update: { $set: { suggestionKeys: buildSuggestionKeys(product) } } } });
+      if (ops.length === 500) await flush();
+    }
+    await flush();
+    console.log(`✅ Suggestion keys added to ${count} product(s)`);
+  },
+  // Recompute every product's rating summary from the reviews collection
+  'rebuild-ratings': async () => {
+    let count = 0;
+    for await (const product of Product.find().select('_id').lean().cursor()) {
+      await refreshRatingSummary(product._id);
+      count += 1;
+    }
+    console.log(`✅ Rebuilt rating summaries for ${count} product(s)`);
+  }
+};
+
+const command = require.main === module ? process.argv[2] : undefined;
+
 // ====================================
 // DATABASE CONNECTION & SERVER START
 // ====================================
@@ -1062,9 +8630,31 @@ mongoose.connect(MONGODB_URI, {
   console.log('✅ Connected to MongoDB successfully');
   console.log(`📚 Database: ${MONGODB_URI}`);
   
+  // Products are validated against the taxonomy, so it must exist before anything is written
+  await seedCategories();
+  await seedLocations();
+  
+  if (command) {
+    if (!COMMANDS[command]) {
+      console.error(`❌ Unknown command "${command}". Available: ${Object.keys(COMMANDS).join(', ')}`);
+      process.exit(1);
+    }
+    
+    try {
+      await COMMANDS[command](...process.argv.slice(3));
+    } catch (error) {
+      console.error(`❌ ${command} failed:`, error);
+      process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+    return;
+  }
+  
   // Generate sample data
   await generateSampleData();
   
+  startBackgroundJobs();
+  
   // Start server
   app.listen(PORT, () => {
     console.log(`🚀 Server is running on http://localhost:${PORT}`);
@@ -1084,6 +8674,7 @@ mongoose.connect(MONGODB_URI, {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  stopBackgroundJobs();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed');
   process.exit(0);
@@ -1158,16 +8749,16 @@ db.products.aggregate([
 
 // 13. GET PRODUCTS WITH REVIEWS
 db.products.find({
-  "reviews.0": { $exists: true }
+  "ratingSummary.count": { $gt: 0 }
 }).pretty()
 
 // 14. CALCULATE AVERAGE RATING (Aggregation)
-db.products.aggregate([
-  { $unwind: "$reviews" },
+db.reviews.aggregate([
+  { $match: { status: "Approved" } },
   {
     $group: {
-      _id: "$name",
-      avgRating: { $avg: "$reviews.rating" },
+      _id: "$product",
+      avgRating: { $avg: "$rating" },
       reviewCount: { $sum: 1 }
     }
   }
@@ -1224,19 +8815,14 @@ db.products.updateOne(
 )
 
 // 21. ADD REVIEW TO PRODUCT
-db.products.updateOne(
-  { _id: ObjectId("YOUR_PRODUCT_ID") },
-  {
-    $push: {
-      reviews: {
-        username: "new_user",
-        rating: 5,
-        comment: "Excellent product!",
-        date: new Date()
-      }
-    }
-  }
-)
+db.reviews.insertOne({
+  product: ObjectId("YOUR_PRODUCT_ID"),
+  username: "new_user",
+  rating: 5,
+  comment: "Excellent product!",
+  status: "Pending",
+  date: new Date()
+})
 
 // 22. REMOVE SPECIFIC VARIANT BY SKU
 db.products.updateOne(
@@ -1295,7 +8881,62 @@ db.products.aggregate([
 ])
 */
 
+/*
+// ====================================
+// WEBHOOK RECEIVER EXAMPLE
+// ====================================
+// A minimal local receiver for testing deliveries. The signature covers the raw body,
+// so verify it before any JSON parsing. This mirrors verifyWebhookSignature above; it is
+// inlined because requiring main.js would connect to MongoDB and start the catalog API.
+
+const crypto = require('crypto');
+const express = require('express');
+
+// Compares in constant time and rejects deliveries signed more than 5 minutes ago
+const verifySignature = (secret, body, header) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > 300) return false;
+  
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const receiver = express();
+receiver.post('/hooks', express.raw({ type: 'application/json' }), (req, res) => {
+  const body = req.body.toString('utf8');
+  if (!verifySignature(process.env.WEBHOOK_SECRET, body, req.get('X-Catalog-Signature'))) {
+    return res.status(401).end();
+  }
+  
+  console.log(req.get('X-Catalog-Event'), JSON.parse(body).data);
+  res.status(204).end();
+});
+receiver.listen(4000);
+*/
+
 // ====================================
 // EXPORTS
 // ====================================
-module.exports = { app, Product };
+module.exports = {
+  app,
+  Product,
+  Review,
+  Order,
+  Reservation,
+  InventoryMovement,
+  StockAlert,
+  WebhookSubscription,
+  WebhookDelivery,
+  ApiKey,
+  ExchangeRate,
+  Promotion,
+  PriceChange,
+  Category,
+  Location,
+  verifyWebhookSignature,
+  signJwt,
+  verifyJwt
+};